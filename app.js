@@ -2,60 +2,269 @@
  * ============================================================
  * FrameWork Forge — app.js
  * Main application logic:
- *  - Framework data loading
+ *  - Framework data loading + schema validation (schema in dataset.js)
+ *  - Score history, trend arrows & momentum
+ *  - Offline support (service worker in sw.js)
+ *  - Internationalisation (string catalogues in locales.js)
+ *  - Safe HTML templating (escaped data, delegated actions)
  *  - Framework card rendering
+ *  - Search, filter & sort toolbar
  *  - Multi-selection system
  *  - Comparison dashboard generation
- *  - Chart.js radar & bar charts
- *  - Smart recommendation engine (rule-based)
- *  - Detail modal system
+ *  - Named saved comparisons & recommendation history
+ *  - Head-to-head analysis (best per metric, baseline deltas, win/loss matrix)
+ *  - Chart.js radar & bar charts (brand / colour-blind-safe palettes)
+ *  - Dashboard export (CSV / JSON / Markdown / PNG)
+ *  - Printable comparison report
+ *  - Smart recommendation questionnaire & results (scoring in engine.js,
+ *    rules from recommendation-rules.json)
+ *  - Fullstack frontend + backend stack pairing
+ *  - Adjustable recommendation weights
+ *  - Detail modal system (accessible dialog with focus management)
+ *  - Custom frameworks (add / edit / delete, stored locally)
+ *  - Alternative datasets loaded from local JSON files
+ *  - Shareable deep links (URL state)
  *  - Dark/Light mode toggle
- *  - Toast notifications
+ *  - Toast notifications (announced to screen readers)
  * ============================================================
  */
 
 /* ==========================================
    GLOBAL STATE
    ========================================== */
-let ALL_FRAMEWORKS = [];         // All framework data (loaded from JSON)
+let ALL_FRAMEWORKS = [];         // All framework data (active dataset + custom)
+let DEFAULT_FRAMEWORKS = [];     // Built-in dataset as loaded from frameworks.json
 let selectedIds = new Set();  // Set of currently selected framework IDs
 let radarChartInst = null;       // Chart.js radar instance
 let barChartInst = null;       // Chart.js bar instance
+let trendChartInst = null;     // Chart.js score-trend line instance
+let baselineId = null;         // Framework the comparison table shows deltas against
+let gridFilters = {              // Search / facet / sort state for the card grid
+    query: '',
+    type: '',
+    language: '',
+    tags: new Set(),
+    sort: 'default',
+    sortDir: 'desc',
+};
+let gridView = localStorage.getItem('ffGridView') === 'leaderboard' ? 'leaderboard' : 'cards';   // Card grid or leaderboard
+let leaderboardSort = { key: 'avg', direction: 'desc' };   // Column the leaderboard ranks by
+let leaderboardSelectedOnly = false;                       // Rank the selection instead of every visible framework
+
+/* ==========================================
+   INTERNATIONALISATION
+   UI strings come from the LOCALES catalogues
+   in locales.js. Static copy in index.html is
+   tagged with data-i18n / data-i18n-attr,
+   everything rendered here goes through t().
+   The chosen locale persists under 'ffLocale'.
+   ========================================== */
+const LOCALE_KEY = 'ffLocale';
+const DEFAULT_LOCALE = 'en';
+
+let currentLocale = pickInitialLocale();
+
+function pickInitialLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[saved]) return saved;
+    // First visit: follow the browser when we ship its language
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+function lookupString(key) {
+    return LOCALES[currentLocale].strings[key] ?? LOCALES[DEFAULT_LOCALE].strings[key];
+}
+
+function formatString(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate a key, filling {placeholders} from params.
+ * Unknown keys come back as the key itself so gaps are easy to spot.
+ */
+function t(key, params = {}) {
+    const entry = lookupString(key);
+    if (entry === undefined) return key;
+    return formatString(typeof entry === 'string' ? entry : entry.other, params);
+}
+
+/**
+ * Plural-aware t(): picks the entry's Intl.PluralRules form for `count`
+ * and passes the (locale-formatted) number in as {count}.
+ */
+function tn(key, count, params = {}) {
+    const entry = lookupString(key);
+    if (entry === undefined) return key;
+    const template = typeof entry === 'string'
+        ? entry
+        : entry[new Intl.PluralRules(currentLocale).select(count)] ?? entry.other;
+    return formatString(template, { ...params, count: count.toLocaleString(currentLocale) });
+}
+
+/**
+ * t() for catalogue strings that carry markup. The template ships with
+ * the app; every parameter is escaped unless it is itself html``.
+ */
+function tHTML(key, params = {}) {
+    const escaped = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, renderTemplateValue(value)]));
+    return new SafeHTML(t(key, escaped));
+}
+
+/**
+ * Dataset entries (frameworks, rules, affinities, questions) may carry
+ * `translations: { <locale>: { field: value } }` overriding their text.
+ */
+function localizeEntry(entry) {
+    const overrides = entry.translations?.[currentLocale];
+    return overrides ? { ...entry, ...overrides } : entry;
+}
+
+/** The page's locale-aware t() / tHTML() in the shape engine.js expects. */
+const ENGINE_I18N = {
+    t,
+    markup: tHTML,
+    localize: localizeEntry,
+    get locale() { return currentLocale; },
+};
+
+/**
+ * Fill every data-i18n element's text and every data-i18n-attr
+ * ("attr:key; attr:key") attribute from the active catalogue.
+ */
+function translatePage() {
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            if (attr && key) el.setAttribute(attr, t(key));
+        });
+    });
+}
+
+function initLocaleSwitcher() {
+    document.querySelectorAll('.locale-switcher').forEach(select => {
+        select.innerHTML = html`${Object.entries(LOCALES).map(([code, locale]) =>
+            html`<option value="${code}" lang="${code}">${locale.name}</option>`)}`;
+        select.value = currentLocale;
+        select.addEventListener('change', () => setLocale(select.value));
+    });
+    translatePage();
+}
+
+/**
+ * Switch language and re-render everything built from JS.
+ */
+function setLocale(locale) {
+    if (!LOCALES[locale] || locale === currentLocale) return;
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_KEY, locale);
+    document.querySelectorAll('.locale-switcher').forEach(select => { select.value = locale; });
+
+    translatePage();
+    renderQuestionnaire();
+    renderSortOptions();
+    updateSortDirButton();
+    renderPaletteOptions();
+    renderChartLimitOptions();
+    renderTrendMetricOptions();
+    renderDatasetSwitcher();
+    renderDataHealthNotice();
+    refreshFrameworkViews();
+    renderRecHistory();
+}
 
 /* ==========================================
    METRIC DEFINITIONS (Score Keys → Labels)
+   Labels are read from the active locale.
    ========================================== */
 const METRICS = [
-    { key: 'performance', label: 'Performance', icon: 'fa-gauge-high' },
-    { key: 'learningCurve', label: 'Ease of Learning', icon: 'fa-graduation-cap' },
-    { key: 'communitySupport', label: 'Community Support', icon: 'fa-users' },
-    { key: 'jobDemand', label: 'Job Demand', icon: 'fa-briefcase' },
-    { key: 'scalability', label: 'Scalability', icon: 'fa-arrows-up-down-left-right' },
-];
+    { key: 'performance', icon: 'fa-gauge-high' },
+    { key: 'learningCurve', icon: 'fa-graduation-cap' },
+    { key: 'communitySupport', icon: 'fa-users' },
+    { key: 'jobDemand', icon: 'fa-briefcase' },
+    { key: 'scalability', icon: 'fa-arrows-up-down-left-right' },
+].map(metric => ({
+    ...metric,
+    get label() { return t(`metric.${metric.key}`); },
+    get shortLabel() { return t(`metric.${metric.key}.short`); },
+}));
+
+/* ==========================================
+   SHARED VIEWS
+   Safe HTML templating (html``), chart palettes
+   and configs and the comparison table markup
+   live in views.js, shared with the
+   <framework-compare> element.
+   ========================================== */
+const { SafeHTML, html, renderTemplateValue, safeColor, safeIcon, CHART_PALETTES } = FrameworkViews;
+
+let chartPalette = CHART_PALETTES[localStorage.getItem('ffPalette')] ? localStorage.getItem('ffPalette') : 'brand';
 
 /* ==========================================
-   CHART COLOR PALETTE
-   Per-framework accent colors for charts
+   DELEGATED ACTIONS
+   Buttons rendered from data carry
+   data-action (+ data-id etc.) instead of
+   inline onclick strings; one listener runs them.
    ========================================== */
-const CHART_COLORS = {
-    react: { bg: 'rgba(97,218,251,0.25)', border: '#61DAFB' },
-    angular: { bg: 'rgba(221,0,49,0.25)', border: '#DD0031' },
-    vue: { bg: 'rgba(66,184,131,0.25)', border: '#42B883' },
-    django: { bg: 'rgba(68,183,139,0.25)', border: '#44B78B' },
-    laravel: { bg: 'rgba(255,45,32,0.25)', border: '#FF2D20' },
-    express: { bg: 'rgba(104,160,99,0.25)', border: '#68A063' },
+const UI_ACTIONS = {
+    'open-details': el => openModal(el.dataset.id),
+    'compare-one': el => preselectAndCompare(el.dataset.id),
+    'compare-stack': el => compareStack(el.dataset.front, el.dataset.back),
+    'copy-link': () => copyShareLink(),
+    'add-from-modal': el => { toggleSelection(el.dataset.id); closeModal(); },
+    'edit-framework': el => openFrameworkForm(el.dataset.id),
+    'delete-framework': el => deleteCustomFramework(el.dataset.id),
+    'open-saved': el => openSavedComparison(el.dataset.id),
+    'rename-saved': el => renameSavedComparison(el.dataset.id),
+    'delete-saved': el => deleteSavedComparison(el.dataset.id),
+    'rerun-history': el => rerunRecommendation(el.dataset.id),
+    'delete-history': el => deleteRecHistoryEntry(el.dataset.id),
+    'toggle-select': el => toggleSelection(el.dataset.id),
+    'select-type': el => toggleTypeSelection(el.dataset.type),
+    'sort-leaderboard': el => sortLeaderboard(el.dataset.key),
+    'toggle-series': el => toggleChartSeries(el.dataset.id),
 };
 
+function initActionDelegation() {
+    document.addEventListener('click', e => {
+        const el = e.target.closest('[data-action]');
+        const action = el && UI_ACTIONS[el.dataset.action];
+        if (!action) return;
+        e.preventDefault();
+        action(el);
+    });
+}
+
 /* ==========================================
    BOOT — Load JSON data then initialise app
    ========================================== */
 document.addEventListener('DOMContentLoaded', () => {
+    initLocaleSwitcher();
     loadFrameworks();
     initThemeToggle();
     initNavbarScroll();
     initModalClose();
     initRecommendationForm();
+    initWeightsPanel();
     initMobileNav();
+    initSelectionControls();
+    initExportMenu();
+    initPrintReport();
+    initGridToolbar();
+    initLeaderboard();
+    initDatasetControls();
+    initDataHealthNotice();
+    initActionDelegation();
+    initChartPalette();
+    initChartSeriesControls();
+    initTrendMetricPicker();
+    initBaselinePicker();
+    initSavedViews();
+    initOfflineSupport();
+    document.getElementById('addFrameworkBtn')?.addEventListener('click', () => openFrameworkForm());
     // Sync mobile theme icon with desktop
     document.getElementById('themeToggleMobile')?.addEventListener('click', () => {
         document.getElementById('themeToggle')?.click();
@@ -63,20 +272,150 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /**
- * Fetch frameworks.json from disk (works from a local file or GitHub Pages).
- * Falls back to inline data if fetch is blocked (file:// protocol restriction).
+ * Fetch frameworks.json (and the recommendation rules alongside it).
+ * Offline, the service worker answers from its cache; the fetch only fails
+ * on a first visit without a connection or when opened from file://, and
+ * then the app carries on with custom frameworks and saved datasets.
  */
 async function loadFrameworks() {
+    const rulesLoaded = loadRecommendationRules();
+    let dataLoaded = true;
     try {
         const res = await fetch('frameworks.json');
         if (!res.ok) throw new Error('HTTP error');
-        ALL_FRAMEWORKS = await res.json();
+        DEFAULT_FRAMEWORKS = await res.json();
     } catch (e) {
-        // Fallback: inline minimal data so site still works offline
-        console.warn('Could not fetch frameworks.json, using inline data.', e);
-        ALL_FRAMEWORKS = FALLBACK_DATA;
+        console.warn('Could not fetch frameworks.json.', e);
+        DEFAULT_FRAMEWORKS = [];
+        dataLoaded = false;
     }
+    const { frameworks, issues } = validateFrameworks(DEFAULT_FRAMEWORKS);
+    DEFAULT_FRAMEWORKS = frameworks;
+    reportDataIssues(DEFAULT_DATASET_ID, 'frameworks.json', issues);
+    savedDatasets.forEach(ds => { if (ds.issues?.length) reportDataIssues(ds.id, t('dataset.source', { name: ds.name }), ds.issues); });
+    rebuildFrameworkList();
+    if (!(await rulesLoaded)) dataLoaded = false;
+    if (!dataLoaded) showToast(t('offline.unavailable'), 'error');
+    renderDatasetSwitcher();
+    populateFilterOptions();
     renderFrameworkCards();
+    renderSavedComparisons();
+    refreshWeightsPanel();
+    restoreStateFromUrl();
+}
+
+/* ==========================================
+   FRAMEWORK DATA SCHEMA
+   Defined in dataset.js (shared with the
+   bin/ tools): validateFrameworks() checks
+   built-in, imported and custom data alike.
+   ========================================== */
+const { FRAMEWORK_SCHEMA, validateFrameworks } = FrameworkDataset;
+
+function formatDataIssue({ id, field, reason, action }) {
+    return `${id} · ${field}: ${reason} (${t(`dataHealth.action.${action}`)})`;
+}
+
+/* ==========================================
+   DATA HEALTH NOTICE
+   Surfaces validation problems per source
+   (frameworks.json, an imported dataset,
+   custom entries) instead of failing silently.
+   ========================================== */
+const dataHealth = new Map();   // key → { label, issues }
+let dataHealthDismissed = false;
+
+function reportDataIssues(key, label, issues) {
+    if (issues.length) {
+        dataHealth.set(key, { label, issues });
+    } else {
+        dataHealth.delete(key);
+    }
+    dataHealthDismissed = false;
+    renderDataHealthNotice();
+}
+
+/**
+ * Show the notice for the sources that feed the current list:
+ * the built-in file, the active dataset and custom entries.
+ */
+function renderDataHealthNotice() {
+    const notice = document.getElementById('dataHealthNotice');
+    if (!notice) return;
+
+    const activeKeys = [DEFAULT_DATASET_ID, activeDatasetId, CUSTOM_FRAMEWORKS_KEY];
+    const sources = [...dataHealth.entries()]
+        .filter(([key]) => activeKeys.includes(key))
+        .map(([, source]) => source);
+    const all = sources.flatMap(source => source.issues);
+    const skipped = new Set(all.filter(i => i.action === 'skipped').map(i => i.id)).size;
+    const repaired = all.filter(i => i.action === 'repaired').length;
+
+    notice.classList.toggle('hidden', dataHealthDismissed || all.length === 0);
+    if (!all.length) return;
+
+    const parts = [];
+    if (skipped) parts.push(tn('dataHealth.skipped', skipped));
+    if (repaired) parts.push(tn('dataHealth.repaired', repaired));
+    notice.querySelector('.data-health-summary').textContent = t('dataHealth.summary', { parts: parts.join(', ') });
+    notice.querySelector('.data-health-list').innerHTML = html`${sources.map(source => html`
+      <li class="data-health-source">${source.label}</li>
+      ${source.issues.map(issue => html`
+        <li class="data-health-item data-health-item--${issue.action}">${formatDataIssue(issue)}</li>
+      `)}
+    `)}`;
+}
+
+function initDataHealthNotice() {
+    document.getElementById('dismissDataHealth')?.addEventListener('click', () => {
+        dataHealthDismissed = true;
+        renderDataHealthNotice();
+    });
+}
+
+/* ==========================================
+   OFFLINE SUPPORT
+   sw.js caches the app, its data and the CDN
+   assets. It posts 'data-updated' when the
+   server has newer data than the copy in use.
+   ========================================== */
+function initOfflineSupport() {
+    const notice = document.getElementById('updateNotice');
+    document.getElementById('reloadForUpdate')?.addEventListener('click', () => location.reload());
+    document.getElementById('dismissUpdate')?.addEventListener('click', () => notice?.classList.add('hidden'));
+
+    // Service workers need http(s): opened from file:// there is no offline cache
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data?.type !== 'data-updated' || !notice?.classList.contains('hidden')) return;
+        notice.classList.remove('hidden');
+        showToast(t('offline.updateAvailable'), 'info');
+    });
+    navigator.serviceWorker.register('sw.js').catch(e =>
+        console.warn('Service worker registration failed; offline use is unavailable.', e));
+}
+
+/* ==========================================
+   SCORE HISTORY & TRENDS
+   A framework's `history` holds dated past
+   snapshots; its trend is the change from the
+   oldest snapshot to the current `scores`.
+   ========================================== */
+const { getScoreTrend, formatDelta } = FrameworkEngine;
+
+/** Snapshots plus the current scores (date null), oldest first. */
+function getScoreTimeline(fw) {
+    return [...(fw.history || []), { date: null, scores: fw.scores }];
+}
+
+function renderTrendBadge(trend) {
+    if (!trend) return '';
+    const icon = { up: 'fa-arrow-trend-up', down: 'fa-arrow-trend-down', flat: 'fa-arrow-right' }[trend.direction];
+    const label = t(`trend.${trend.direction}`, { delta: formatDelta(trend.delta), since: trend.since });
+    return html`<span class="trend-badge trend-${trend.direction}" title="${label}">
+      <i class="fas ${icon}" aria-hidden="true"></i>${trend.direction !== 'flat' && html`<span aria-hidden="true">${formatDelta(trend.delta)}</span>`}
+      <span class="sr-only">${label}</span>
+    </span>`;
 }
 
 /* ==========================================
@@ -86,8 +425,11 @@ function renderFrameworkCards() {
     const grid = document.getElementById('frameworkGrid');
     grid.innerHTML = '';
 
-    ALL_FRAMEWORKS.forEach(fw => {
-        const color = fw.color;
+    const visible = getVisibleFrameworks();
+    renderGridEmptyState(visible.length === 0);
+
+    visible.forEach(fw => {
+        const color = safeColor(fw.color);
         const avgScore = calcAvgScore(fw);
 
         const card = document.createElement('div');
@@ -95,45 +437,54 @@ function renderFrameworkCards() {
         card.dataset.id = fw.id;
         card.style.setProperty('--card-color', color);
 
-        card.innerHTML = `
+        card.setAttribute('role', 'group');
+        card.setAttribute('aria-label', fw.name);
+
+        card.innerHTML = html`
+      <!-- Whole-card toggle (stretched over the card; the Details button sits above it) -->
+      <button type="button" class="card-toggle" aria-pressed="false">
+        <span class="sr-only">${t('card.compare', { name: fw.name })}</span>
+      </button>
+
       <!-- Selection checkmark -->
-      <div class="card-check">
+      <div class="card-check" aria-hidden="true">
         <i class="fas fa-check text-xs"></i>
       </div>
 
       <!-- Icon -->
       <div class="card-icon-wrapper" style="background: ${color}22; color: ${color}">
-        <i class="${fw.icon}"></i>
+        <i class="${safeIcon(fw.icon)}"></i>
       </div>
 
       <!-- Type badge -->
       <div class="card-type-badge ${fw.type.toLowerCase()}">
         <i class="fas ${fw.type === 'Frontend' ? 'fa-palette' : 'fa-server'} text-xs"></i>
-        ${fw.type}
+        ${t(`type.${fw.type}`)}
       </div>
 
       <!-- Name & tagline -->
-      <div class="card-name">${fw.name}</div>
+      <div class="card-name">${fw.name}${fw.custom && html` <span class="custom-badge">${t('card.custom')}</span>`}</div>
       <div class="card-tagline">${fw.tagline}</div>
 
       <!-- Mini score bars -->
       <div class="card-scores">
-        ${METRICS.slice(0, 4).map(m => `
+        ${METRICS.slice(0, 4).map(m => html`
           <div class="card-score-item">
-            <span class="card-score-label">${m.label.split(' ')[0]}</span>
+            <span class="card-score-label">${m.shortLabel}</span>
             <div class="card-score-bar">
               <div class="card-score-fill" style="width: ${fw.scores[m.key]}%; background: ${color}"></div>
             </div>
           </div>
-        `).join('')}
+        `)}
       </div>
 
       <!-- Card footer -->
       <div class="card-footer">
         <span class="card-lang"><i class="fas fa-code mr-1"></i>${fw.language}</span>
-        <span class="card-detail-btn">
-          Details <i class="fas fa-arrow-right text-xs"></i>
-        </span>
+        ${renderTrendBadge(getScoreTrend(fw))}
+        <button type="button" class="card-detail-btn" aria-label="${t('card.detailsFor', { name: fw.name })}">
+          ${t('card.details')} <i class="fas fa-arrow-right text-xs" aria-hidden="true"></i>
+        </button>
       </div>
     `;
 
@@ -153,29 +504,370 @@ function renderFrameworkCards() {
         grid.appendChild(card);
     });
 
-    // Wire up compare button
+    renderLeaderboard(visible);
+    // Re-apply selection state (and the result count) to the fresh cards
+    updateSelectionUI();
+}
+
+/* ==========================================
+   LEADERBOARD
+   The card grid as one ranked table — readable
+   however many frameworks the dataset holds.
+   It shows what the grid would (same search and
+   facets), optionally just the selection, and
+   ranks by the average or any metric.
+   ========================================== */
+function initLeaderboard() {
+    document.querySelectorAll('[data-grid-view]').forEach(btn => {
+        btn.addEventListener('click', () => setGridView(btn.dataset.gridView));
+    });
+    document.getElementById('leaderboardSelectedOnly')?.addEventListener('change', e => {
+        leaderboardSelectedOnly = e.target.checked;
+        renderLeaderboard();
+    });
+    syncGridViewButtons();
+}
+
+function setGridView(view) {
+    gridView = view === 'leaderboard' ? 'leaderboard' : 'cards';
+    localStorage.setItem('ffGridView', gridView);
+    syncGridViewButtons();
+    renderFrameworkCards();
+}
+
+function syncGridViewButtons() {
+    document.querySelectorAll('[data-grid-view]').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.dataset.gridView === gridView));
+    });
+}
+
+/** Same column again flips the order; a new column starts best-first. */
+function sortLeaderboard(key) {
+    if (!FrameworkDataset.LEADERBOARD_KEYS.includes(key)) return;
+    leaderboardSort = key === leaderboardSort.key
+        ? { key, direction: leaderboardSort.direction === 'desc' ? 'asc' : 'desc' }
+        : { key, direction: 'desc' };
+    renderLeaderboard();
+    document.querySelector(`#leaderboardTable [data-key="${key}"]`)?.focus();
+}
+
+function renderLeaderboard(visible = getVisibleFrameworks()) {
+    const table = document.getElementById('leaderboardTable');
+    if (!table) return;
+    const frameworks = leaderboardSelectedOnly ? visible.filter(fw => selectedIds.has(fw.id)) : visible;
+    document.getElementById('leaderboardEmpty').classList.toggle('hidden', frameworks.length > 0);
+    table.classList.toggle('hidden', frameworks.length === 0);
+
+    const { key, direction } = leaderboardSort;
+    const columns = [
+        { key: 'avg', label: t('sort.avg'), short: t('leaderboard.avg') },
+        ...METRICS.map(m => ({ key: m.key, label: m.label, short: m.shortLabel })),
+    ];
+    const sorted = columns.find(col => col.key === key);
+    const header = columns.map(col => {
+        const active = col.key === key;
+        const sortState = active ? (direction === 'asc' ? 'ascending' : 'descending') : 'none';
+        const icon = active ? (direction === 'asc' ? 'fa-arrow-up' : 'fa-arrow-down') : 'fa-sort';
+        return html`<th scope="col" class="leaderboard-value ${active && 'is-sorted'}" aria-sort="${sortState}">
+          <button type="button" class="leaderboard-sort" data-action="sort-leaderboard" data-key="${col.key}" title="${col.label}">
+            ${col.short} <i class="fas ${icon}" aria-hidden="true"></i>
+          </button>
+        </th>`;
+    });
+
+    const rows = FrameworkDataset.buildLeaderboard(frameworks, { key, direction }).map(({ fw, rank }) => {
+        const picked = selectedIds.has(fw.id);
+        const color = safeColor(fw.color);
+        return html`<tr data-id="${fw.id}" class="${picked && 'selected'}">
+          <td class="leaderboard-rank">${rank}</td>
+          <td>
+            <button type="button" class="leaderboard-toggle" data-action="toggle-select" data-id="${fw.id}" aria-pressed="${String(picked)}">
+              <i class="fas fa-check" aria-hidden="true"></i><span class="sr-only">${t('card.compare', { name: fw.name })}</span>
+            </button>
+          </td>
+          <th scope="row" class="leaderboard-name">
+            <button type="button" class="leaderboard-detail" data-action="open-details" data-id="${fw.id}"
+                    aria-label="${t('card.detailsFor', { name: fw.name })}">
+              <i class="${safeIcon(fw.icon)}" style="color:${color}" aria-hidden="true"></i> ${fw.name}
+            </button>
+            <span class="card-type-badge ${fw.type.toLowerCase()}">${t(`type.${fw.type}`)}</span>
+          </th>
+          ${columns.map(col => {
+              const value = col.key === 'avg' ? calcAvgScore(fw) : fw.scores[col.key];
+              return col.key === key
+                  ? html`<td class="leaderboard-value is-sorted">
+                      <span class="leaderboard-bar" aria-hidden="true"><span style="width:${value}%; background:${color}"></span></span>${value}
+                    </td>`
+                  : html`<td class="leaderboard-value">${value}</td>`;
+          })}
+        </tr>`;
+    });
+
+    table.innerHTML = html`
+      <caption class="sr-only">${t('leaderboard.caption', { metric: sorted.label })}</caption>
+      <thead><tr>
+        <th scope="col" class="leaderboard-rank">${t('leaderboard.rank')}</th>
+        <th scope="col"><span class="sr-only">${t('leaderboard.compare')}</span></th>
+        <th scope="col">${t('leaderboard.framework')}</th>
+        ${header}
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    `;
+}
+
+/**
+ * Wire up the compare / clear / dashboard buttons once at boot.
+ * (Kept out of renderFrameworkCards() so re-filtering doesn't stack listeners.)
+ */
+function initSelectionControls() {
     document.getElementById('compareBtn').addEventListener('click', showComparisonDashboard);
     document.getElementById('clearSelection').addEventListener('click', clearAllSelections);
     document.getElementById('backToSelect').addEventListener('click', showSelectionSection);
+    document.getElementById('copyDashboardLink').addEventListener('click', copyShareLink);
     document.getElementById('scrollToRecommend').addEventListener('click', () => {
         document.getElementById('recommend').scrollIntoView({ behavior: 'smooth' });
     });
 }
 
+/* ==========================================
+   SEARCH / FILTER / SORT TOOLBAR
+   Narrows and orders the framework grid.
+   Selection lives in selectedIds, so it is
+   unaffected by what is currently visible.
+   ========================================== */
+function initGridToolbar() {
+    const search = document.getElementById('fwSearch');
+    const typeSel = document.getElementById('filterType');
+    const langSel = document.getElementById('filterLanguage');
+    const sortSel = document.getElementById('sortBy');
+    const dirBtn = document.getElementById('sortDir');
+    if (!search) return;
+
+    renderSortOptions();
+
+    search.addEventListener('input', () => {
+        gridFilters.query = search.value.trim().toLowerCase();
+        renderFrameworkCards();
+    });
+    typeSel.addEventListener('change', () => {
+        gridFilters.type = typeSel.value;
+        renderFrameworkCards();
+    });
+    langSel.addEventListener('change', () => {
+        gridFilters.language = langSel.value;
+        renderFrameworkCards();
+    });
+    sortSel.addEventListener('change', () => {
+        gridFilters.sort = sortSel.value;
+        // Names read naturally A→Z, everything else best/newest first
+        gridFilters.sortDir = gridFilters.sort === 'name' ? 'asc' : 'desc';
+        updateSortDirButton();
+        renderFrameworkCards();
+    });
+    dirBtn.addEventListener('click', () => {
+        gridFilters.sortDir = gridFilters.sortDir === 'asc' ? 'desc' : 'asc';
+        updateSortDirButton();
+        renderFrameworkCards();
+    });
+
+    // Tag chips are rebuilt from data, so delegate clicks
+    document.getElementById('tagFilters').addEventListener('click', e => {
+        const chip = e.target.closest('.tag-filter-chip');
+        if (!chip) return;
+        const tag = chip.dataset.tag;
+        if (gridFilters.tags.has(tag)) gridFilters.tags.delete(tag);
+        else gridFilters.tags.add(tag);
+        chip.classList.toggle('active', gridFilters.tags.has(tag));
+        chip.setAttribute('aria-pressed', String(gridFilters.tags.has(tag)));
+        renderFrameworkCards();
+    });
+
+    document.getElementById('resetFilters').addEventListener('click', resetGridFilters);
+    document.getElementById('emptyResetFilters').addEventListener('click', resetGridFilters);
+    updateSortDirButton();
+}
+
+/**
+ * Sort options mirror METRICS so labels stay in one place.
+ */
+function renderSortOptions() {
+    const sortSel = document.getElementById('sortBy');
+    if (!sortSel) return;
+    sortSel.innerHTML = html`
+      <option value="default">${t('sort.default')}</option>
+      <option value="name">${t('sort.name')}</option>
+      <option value="avg">${t('sort.avg')}</option>
+      ${METRICS.map(m => html`<option value="${m.key}">${m.label}</option>`)}
+      <option value="year">${t('sort.year')}</option>
+    `;
+    sortSel.value = gridFilters.sort;
+}
+
+/**
+ * Fill the type / language / tag facets from the loaded dataset.
+ * Safe to call again whenever ALL_FRAMEWORKS changes.
+ */
+function populateFilterOptions() {
+    const typeSel = document.getElementById('filterType');
+    const langSel = document.getElementById('filterLanguage');
+    const tagWrap = document.getElementById('tagFilters');
+    if (!typeSel) return;
+
+    const uniqueSorted = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    const types = uniqueSorted(ALL_FRAMEWORKS.map(fw => fw.type));
+    const languages = uniqueSorted(ALL_FRAMEWORKS.map(fw => fw.language));
+    const tags = uniqueSorted(ALL_FRAMEWORKS.flatMap(fw => fw.tags || []));
+
+    // Drop any active facet that no longer exists in the data
+    if (!types.includes(gridFilters.type)) gridFilters.type = '';
+    if (!languages.includes(gridFilters.language)) gridFilters.language = '';
+    gridFilters.tags.forEach(tag => { if (!tags.includes(tag)) gridFilters.tags.delete(tag); });
+
+    typeSel.innerHTML = html`<option value="">${t('grid.allTypes')}</option>
+        ${types.map(type => html`<option value="${type}">${t(`type.${type}`)}</option>`)}`;
+    langSel.innerHTML = html`<option value="">${t('grid.allLanguages')}</option>
+        ${languages.map(l => html`<option value="${l}">${l}</option>`)}`;
+    typeSel.value = gridFilters.type;
+    langSel.value = gridFilters.language;
+
+    document.getElementById('selectShortcuts').innerHTML = html`${types.map(type => html`
+      <button type="button" class="tag-filter-chip select-shortcut" data-action="select-type" data-type="${type}" aria-pressed="false">
+        <i class="fas fa-check-double" aria-hidden="true"></i> ${t('selection.selectType', { type: t(`type.${type}`) })}
+      </button>
+    `)}`;
+
+    tagWrap.innerHTML = html`${tags.map(tag => html`
+      <button type="button" class="tag-filter-chip ${gridFilters.tags.has(tag) && 'active'}" data-tag="${tag}"
+              aria-pressed="${gridFilters.tags.has(tag)}">
+        ${formatTag(tag)}
+      </button>
+    `)}`;
+}
+
+/**
+ * Apply the current search, facets and sort to ALL_FRAMEWORKS.
+ */
+function getVisibleFrameworks() {
+    const { query, type, language, tags, sort, sortDir } = gridFilters;
+
+    const visible = ALL_FRAMEWORKS.filter(fw => {
+        const fwTags = fw.tags || [];
+        if (type && fw.type !== type) return false;
+        if (language && fw.language !== language) return false;
+        if ([...tags].some(tag => !fwTags.includes(tag))) return false;
+        if (query) {
+            const haystack = [fw.name, fw.tagline, fw.language, fw.creator, ...fwTags, ...fwTags.map(formatTag)]
+                .join(' ')
+                .toLowerCase();
+            if (!haystack.includes(query)) return false;
+        }
+        return true;
+    });
+
+    if (sort === 'default') return visible;
+
+    const dir = sortDir === 'asc' ? 1 : -1;
+    return visible.sort((a, b) => {
+        const va = getSortValue(a, sort);
+        const vb = getSortValue(b, sort);
+        const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+        // Ties keep dataset order so the grid doesn't jump around
+        return cmp * dir || ALL_FRAMEWORKS.indexOf(a) - ALL_FRAMEWORKS.indexOf(b);
+    });
+}
+
+function getSortValue(fw, key) {
+    if (key === 'name') return fw.name;
+    if (key === 'avg') return calcAvgScore(fw);
+    if (key === 'year') return fw.year;
+    return fw.scores[key];
+}
+
+function updateSortDirButton() {
+    const btn = document.getElementById('sortDir');
+    if (!btn) return;
+    const asc = gridFilters.sortDir === 'asc';
+    btn.disabled = gridFilters.sort === 'default';
+    btn.title = t(asc ? 'sort.asc' : 'sort.desc');
+    btn.setAttribute('aria-label', t('sort.direction', { dir: btn.title }));
+    btn.innerHTML = html`<i class="fas ${asc ? 'fa-arrow-up-short-wide' : 'fa-arrow-down-wide-short'}" aria-hidden="true"></i>`;
+}
+
+function updateResultCount() {
+    const el = document.getElementById('gridResultCount');
+    if (!el) return;
+    const total = ALL_FRAMEWORKS.length;
+    const visibleIds = new Set(getVisibleFrameworks().map(fw => fw.id));
+    const visibleCount = visibleIds.size;
+    const hiddenSelected = [...selectedIds].filter(id => !visibleIds.has(id)).length;
+
+    el.textContent = visibleCount === total
+        ? tn('grid.showingAll', total)
+        : tn('grid.showing', total, { visible: visibleCount });
+    if (hiddenSelected) el.textContent += ` · ${tn('grid.hiddenSelected', hiddenSelected)}`;
+
+    document.getElementById('resetFilters')?.classList.toggle('hidden', !hasActiveFilters());
+}
+
+function hasActiveFilters() {
+    return Boolean(gridFilters.query || gridFilters.type || gridFilters.language || gridFilters.tags.size);
+}
+
+/**
+ * Show a "no matches" panel in place of the grid when filters exclude everything.
+ */
+function renderGridEmptyState(isEmpty) {
+    const empty = document.getElementById('gridEmptyState');
+    if (!empty) return;
+    empty.classList.toggle('hidden', !isEmpty);
+    document.getElementById('frameworkGrid').classList.toggle('hidden', isEmpty || gridView !== 'cards');
+    document.getElementById('leaderboard').classList.toggle('hidden', isEmpty || gridView !== 'leaderboard');
+}
+
+function resetGridFilters() {
+    gridFilters.query = '';
+    gridFilters.type = '';
+    gridFilters.language = '';
+    gridFilters.tags.clear();
+    document.getElementById('fwSearch').value = '';
+    populateFilterOptions();
+    renderFrameworkCards();
+}
+
+/** 'beginner-friendly' → catalogue name, else 'Beginner friendly' */
+function formatTag(tag) {
+    return FrameworkEngine.formatTag(tag, t);
+}
+
 /* ==========================================
    SELECTION LOGIC
    ========================================== */
 function toggleSelection(id) {
     if (selectedIds.has(id)) {
         selectedIds.delete(id);
-        showToast(`Removed from comparison`, 'info');
+        showToast(t('selection.removed'), 'info');
     } else {
-        if (selectedIds.size >= 4) {
-            showToast('Max 4 frameworks can be compared at once.', 'warning');
-            return;
-        }
         selectedIds.add(id);
-        showToast(`Added to comparison`, 'success');
+        showToast(t('selection.added'), 'success');
+    }
+    updateSelectionUI();
+}
+
+/**
+ * "Select all Frontend" and friends: add every framework of a type, or
+ * remove them all when they are already selected.
+ */
+function toggleTypeSelection(type) {
+    const ids = ALL_FRAMEWORKS.filter(fw => fw.type === type).map(fw => fw.id);
+    if (!ids.length) return;
+    const params = { type: t(`type.${type}`) };
+    if (ids.every(id => selectedIds.has(id))) {
+        ids.forEach(id => selectedIds.delete(id));
+        showToast(tn('selection.removedType', ids.length, params), 'info');
+    } else {
+        const added = ids.filter(id => !selectedIds.has(id));
+        added.forEach(id => selectedIds.add(id));
+        showToast(tn('selection.addedType', added.length, params), 'success');
     }
     updateSelectionUI();
 }
@@ -187,24 +879,42 @@ function updateSelectionUI() {
     document.querySelectorAll('.framework-card').forEach(card => {
         const id = card.dataset.id;
         card.classList.toggle('selected', selectedIds.has(id));
+        card.querySelector('.card-toggle')?.setAttribute('aria-pressed', String(selectedIds.has(id)));
+    });
+
+    // Leaderboard rows (re-ranked when it lists the selection only)
+    if (leaderboardSelectedOnly) renderLeaderboard();
+    else {
+        document.querySelectorAll('#leaderboardTable tr[data-id]').forEach(row => {
+            row.classList.toggle('selected', selectedIds.has(row.dataset.id));
+            row.querySelector('.leaderboard-toggle')?.setAttribute('aria-pressed', String(selectedIds.has(row.dataset.id)));
+        });
+    }
+    document.querySelectorAll('.select-shortcut').forEach(btn => {
+        const ids = ALL_FRAMEWORKS.filter(fw => fw.type === btn.dataset.type).map(fw => fw.id);
+        btn.setAttribute('aria-pressed', String(ids.length > 0 && ids.every(id => selectedIds.has(id))));
     });
 
     // Update counter
-    document.getElementById('selectedCount').textContent = count;
+    document.getElementById('selectedCount').textContent = tn('selection.count', count);
 
     // Show/hide clear button
     document.getElementById('clearSelection').classList.toggle('hidden', count === 0);
+    document.querySelectorAll('.save-comparison-btn').forEach(btn => { btn.disabled = count < 2; });
 
     // Enable/disable compare button
     const btn = document.getElementById('compareBtn');
     btn.disabled = count < 2;
     document.getElementById('compareCount').textContent = count;
+
+    updateResultCount();
+    syncUrlState();
 }
 
 function clearAllSelections() {
     selectedIds.clear();
     updateSelectionUI();
-    showToast('Selection cleared', 'info');
+    showToast(t('selection.cleared'), 'info');
 }
 
 /* ==========================================
@@ -212,13 +922,10 @@ function clearAllSelections() {
    ========================================== */
 function showComparisonDashboard() {
     if (selectedIds.size < 2) {
-        showToast('Please select at least 2 frameworks.', 'warning');
+        showToast(t('selection.needTwo'), 'warning');
         return;
     }
 
-    // Get selected framework objects
-    const selected = ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id));
-
     // Show dashboard, scroll to it
     const dashboard = document.getElementById('dashboard');
     dashboard.classList.remove('hidden');
@@ -226,38 +933,48 @@ function showComparisonDashboard() {
         dashboard.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }, 100);
 
-    // Render all comparison components
+    renderDashboard();
+    syncUrlState();
+}
+
+/**
+ * Render all comparison components for the current selection.
+ */
+function renderDashboard() {
+    const selected = ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id));
     renderScoreCards(selected);
     renderProgressBars(selected);
     renderCharts(selected);
+    renderBaselinePicker(selected);
     renderComparisonTable(selected);
+    renderHeadToHead(selected);
 }
 
 function showSelectionSection() {
     document.getElementById('dashboard').classList.add('hidden');
     document.getElementById('compare').scrollIntoView({ behavior: 'smooth' });
+    syncUrlState();
 }
 
 /* ==========================================
    SCORE CARDS (top row in dashboard)
    ========================================== */
-function renderScoreCards(frameworks) {
-    const container = document.getElementById('scoreCardsRow');
-    container.style.gridTemplateColumns = `repeat(${frameworks.length}, 1fr)`;
+function renderScoreCards(frameworks, container = document.getElementById('scoreCardsRow')) {
+    // Columns come from the stylesheet (auto-fit), so any number of cards wraps
     container.innerHTML = '';
 
     frameworks.forEach(fw => {
         const avg = calcAvgScore(fw);
-        const color = fw.color;
+        const color = safeColor(fw.color);
         const div = document.createElement('div');
         div.className = 'score-fw-card animate-fade-in-up';
-        div.innerHTML = `
+        div.innerHTML = html`
       <div class="score-fw-icon" style="background: ${color}22; color: ${color}">
-        <i class="${fw.icon}"></i>
+        <i class="${safeIcon(fw.icon)}"></i>
       </div>
       <div class="score-fw-name">${fw.name}</div>
       <div class="score-fw-avg">${avg}</div>
-      <div class="score-fw-label">Average Score / 100</div>
+      <div class="score-fw-label">${t('dashboard.average')}</div>
     `;
         container.appendChild(div);
     });
@@ -268,20 +985,19 @@ function renderScoreCards(frameworks) {
    Each metric shows one bar per framework
    with label, animated fill, and score.
    ========================================== */
-function renderProgressBars(frameworks) {
-    const container = document.getElementById('progressBarsContainer');
+function renderProgressBars(frameworks, container = document.getElementById('progressBarsContainer')) {
     container.innerHTML = '';
 
     /* ---- Colour Legend ---- */
     const legend = document.createElement('div');
     legend.className = 'metrics-legend';
-    legend.innerHTML = frameworks.map(fw => `
+    legend.innerHTML = html`${frameworks.map(fw => html`
         <div class="legend-item">
-            <div class="legend-dot" style="background:${fw.color}; box-shadow: 0 0 6px ${fw.color}88"></div>
-            <i class="${fw.icon}" style="color:${fw.color}; font-size:0.75rem"></i>
+            <div class="legend-dot" style="background:${safeColor(fw.color)}; box-shadow: 0 0 6px ${safeColor(fw.color)}88"></div>
+            <i class="${safeIcon(fw.icon)}" style="color:${safeColor(fw.color)}; font-size:0.75rem"></i>
             <span>${fw.name}</span>
         </div>
-    `).join('');
+    `)}`;
     container.appendChild(legend);
 
     /* ---- One section per metric ---- */
@@ -294,30 +1010,31 @@ function renderProgressBars(frameworks) {
             b.scores[metric.key] > a.scores[metric.key] ? b : a
         );
 
-        const barsHTML = frameworks.map(fw => {
+        const bars = frameworks.map(fw => {
             const score = fw.scores[metric.key];
             const isBest = fw.id === best.id;
-            return `
+            const color = safeColor(fw.color);
+            return html`
             <div class="fw-bar-row">
-                <div class="fw-bar-label" style="color:${fw.color}">
-                    <i class="${fw.icon}"></i>
+                <div class="fw-bar-label" style="color:${color}">
+                    <i class="${safeIcon(fw.icon)}"></i>
                     <span>${fw.name}</span>
                 </div>
                 <div class="fw-bar-track">
                     <div class="fw-bar-fill"
                          data-width="${score}"
-                         style="background: linear-gradient(90deg, ${fw.color}bb, ${fw.color})">
+                         style="background: linear-gradient(90deg, ${color}bb, ${color})">
                     </div>
                 </div>
-                <div class="fw-bar-score ${isBest ? 'fw-bar-score--best' : ''}"
-                     style="${isBest ? `color:${fw.color}` : ''}">
+                <div class="fw-bar-score ${isBest && 'fw-bar-score--best'}"
+                     style="${isBest && `color:${color}`}">
                     ${score}
-                    ${isBest ? '<i class="fas fa-crown" style="font-size:0.6rem; margin-left:2px"></i>' : ''}
+                    ${isBest && html`<i class="fas fa-crown" style="font-size:0.6rem; margin-left:2px"></i>`}
                 </div>
             </div>`;
-        }).join('');
+        });
 
-        section.innerHTML = `
+        section.innerHTML = html`
             <div class="metric-section-header">
                 <div class="metric-section-title-group">
                     <div class="metric-icon-wrap">
@@ -326,7 +1043,7 @@ function renderProgressBars(frameworks) {
                     <span class="metric-section-label">${metric.label}</span>
                 </div>
             </div>
-            <div class="metric-bars-group">${barsHTML}</div>
+            <div class="metric-bars-group">${bars}</div>
         `;
         container.appendChild(section);
     });
@@ -344,81 +1061,222 @@ function renderProgressBars(frameworks) {
 /* ==========================================
    CHART.JS — RADAR + BAR CHARTS
    ========================================== */
-function getChartThemeColors() {
-    /* Reads CSS variables to stay theme-aware */
-    const style = getComputedStyle(document.documentElement);
-    const isDark = document.body.getAttribute('data-theme') === 'dark';
-    return {
-        grid: isDark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.06)',
-        text: isDark ? '#9090b0' : '#4a4a6a',
-    };
+/** Grid/text colours for the page's theme (or the one given). */
+function getChartThemeColors(theme = document.body.getAttribute('data-theme')) {
+    return FrameworkViews.getChartThemeColors(theme);
+}
+
+function initChartPalette() {
+    const select = document.getElementById('chartPalette');
+    if (!select) return;
+    renderPaletteOptions();
+    select.addEventListener('change', () => {
+        chartPalette = CHART_PALETTES[select.value] ? select.value : 'brand';
+        localStorage.setItem('ffPalette', chartPalette);
+        redrawCharts();
+    });
+}
+
+function renderPaletteOptions() {
+    const select = document.getElementById('chartPalette');
+    if (!select) return;
+    select.innerHTML = html`${Object.entries(CHART_PALETTES).map(([key, label]) =>
+        html`<option value="${key}">${t(label)}</option>`)}`;
+    select.value = chartPalette;
+}
+
+/* ==========================================
+   CHART SERIES
+   Past a handful of series the radar turns to
+   noise, so the charts draw the top frameworks
+   by average and the rest can be toggled back
+   from the chips or any chart legend. The data
+   tables under the charts always list them all.
+   ========================================== */
+const CHART_SERIES_LIMITS = [0, 3, 5, 8];   // 0 → all; 8 is the colour-blind palette's size
+const CHART_LIMIT_KEY = 'ffChartLimit';
+const SERIES_CONTROLS_FROM = 4;             // Fewer selected frameworks need no controls
+
+let chartSeriesLimit = CHART_SERIES_LIMITS.find(n => String(n) === localStorage.getItem(CHART_LIMIT_KEY)) ?? 8;
+const hiddenSeries = new Set();   // Selected frameworks left out of the charts
+let chartSeriesSelection = '';    // Selection hiddenSeries was worked out for
+
+function initChartSeriesControls() {
+    const select = document.getElementById('chartLimit');
+    if (!select) return;
+    renderChartLimitOptions();
+    select.addEventListener('change', () => {
+        chartSeriesLimit = CHART_SERIES_LIMITS.find(n => String(n) === select.value) ?? 0;
+        localStorage.setItem(CHART_LIMIT_KEY, String(chartSeriesLimit));
+        resetChartSeries(getSelectedFrameworks());
+        redrawCharts();
+    });
+}
+
+function renderChartLimitOptions() {
+    const select = document.getElementById('chartLimit');
+    if (!select) return;
+    select.innerHTML = html`${CHART_SERIES_LIMITS.map(n =>
+        html`<option value="${n}">${n ? tn('chart.limitTop', n) : t('chart.limitAll')}</option>`)}`;
+    select.value = String(chartSeriesLimit);
+}
+
+/** Hide everything outside the top chartSeriesLimit by average. */
+function resetChartSeries(frameworks) {
+    hiddenSeries.clear();
+    if (!chartSeriesLimit) return;
+    FrameworkDataset.buildLeaderboard(frameworks).slice(chartSeriesLimit).forEach(({ fw }) => hiddenSeries.add(fw.id));
+}
+
+function toggleChartSeries(id) {
+    const hadFocus = Boolean(document.activeElement?.closest('#chartSeries')) && document.activeElement.dataset.id === id;
+    if (hiddenSeries.has(id)) hiddenSeries.delete(id);
+    else hiddenSeries.add(id);
+    redrawCharts();
+    if (hadFocus) document.querySelector(`#chartSeries [data-id="${id}"]`)?.focus();
+}
+
+/**
+ * Mark hidden series in a chart config (datasets are in framework order) and
+ * route legend clicks through toggleChartSeries() so every chart follows.
+ */
+function applySeriesVisibility(config, frameworks) {
+    config.data.datasets.forEach((dataset, i) => { dataset.hidden = hiddenSeries.has(frameworks[i].id); });
+    config.options.plugins.legend.onClick = (e, item) => toggleChartSeries(frameworks[item.datasetIndex].id);
+    return config;
+}
+
+/** One chip per selected framework, in its chart colour; pressed = drawn. */
+function renderSeriesToggles(frameworks, theme) {
+    const container = document.getElementById('chartSeries');
+    if (!container) return;
+    const many = frameworks.length >= SERIES_CONTROLS_FROM;
+    container.classList.toggle('hidden', !many);
+    document.getElementById('chartLimitControl').classList.toggle('hidden', !many);
+    if (!many) return;
+
+    const series = FrameworkViews.getChartSeries(frameworks, theme, chartPalette);
+    const shown = frameworks.filter(fw => !hiddenSeries.has(fw.id)).length;
+    container.innerHTML = html`
+      <span class="chart-series-count">${tn('chart.seriesShown', frameworks.length, { visible: shown })}</span>
+      ${frameworks.map((fw, i) => html`
+        <button type="button" class="tag-filter-chip series-chip" data-action="toggle-series" data-id="${fw.id}"
+                aria-pressed="${String(!hiddenSeries.has(fw.id))}">
+          <span class="legend-dot" style="background:${series[i].border}" aria-hidden="true"></span>${fw.name}
+        </button>
+      `)}
+    `;
+}
+
+/**
+ * Re-draw live charts (theme or palette changed).
+ */
+function redrawCharts() {
+    if (radarChartInst || barChartInst || trendChartInst) {
+        const selected = ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id));
+        if (selected.length >= 2) renderCharts(selected);
+    }
 }
 
 function renderCharts(frameworks) {
-    const labels = METRICS.map(m => m.label);
     const theme = getChartThemeColors();
 
+    // A new selection starts from the top-N default; redraws keep the toggles
+    const selection = frameworks.map(fw => fw.id).join(',');
+    if (selection !== chartSeriesSelection) {
+        chartSeriesSelection = selection;
+        resetChartSeries(frameworks);
+    }
+    renderSeriesToggles(frameworks, theme);
+
     // Destroy existing chart instances before re-creating
     if (radarChartInst) { radarChartInst.destroy(); radarChartInst = null; }
     if (barChartInst) { barChartInst.destroy(); barChartInst = null; }
+    if (trendChartInst) { trendChartInst.destroy(); trendChartInst = null; }
 
     /* ---- RADAR CHART ---- */
     const radarCtx = document.getElementById('radarChart').getContext('2d');
-    const radarDatasets = frameworks.map(fw => ({
-        label: fw.name,
-        data: METRICS.map(m => fw.scores[m.key]),
-        backgroundColor: CHART_COLORS[fw.id]?.bg || 'rgba(139,92,246,0.2)',
-        borderColor: CHART_COLORS[fw.id]?.border || '#8b5cf6',
-        borderWidth: 2,
-        pointBackgroundColor: CHART_COLORS[fw.id]?.border || '#8b5cf6',
-        pointRadius: 4,
-    }));
-
-    radarChartInst = new Chart(radarCtx, {
-        type: 'radar',
-        data: { labels, datasets: radarDatasets },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            scales: {
-                r: {
-                    min: 0, max: 100,
-                    ticks: {
-                        stepSize: 25,
-                        color: theme.text,
-                        backdropColor: 'transparent',
-                        font: { size: 10 },
-                    },
-                    grid: { color: theme.grid },
-                    angleLines: { color: theme.grid },
-                    pointLabels: {
-                        color: theme.text,
-                        font: { size: 11, family: 'Inter' },
-                    },
-                },
-            },
-            plugins: {
-                legend: {
-                    labels: { color: theme.text, font: { family: 'Inter', size: 12 }, boxWidth: 12 },
-                },
-            },
-        },
-    });
+    radarChartInst = new Chart(radarCtx, buildRadarChartConfig(frameworks, theme));
 
     /* ---- BAR CHART ---- */
     const barCtx = document.getElementById('barChart').getContext('2d');
-    const barDatasets = frameworks.map(fw => ({
-        label: fw.name,
-        data: METRICS.map(m => fw.scores[m.key]),
-        backgroundColor: CHART_COLORS[fw.id]?.bg || 'rgba(139,92,246,0.3)',
-        borderColor: CHART_COLORS[fw.id]?.border || '#8b5cf6',
-        borderWidth: 2,
-        borderRadius: 6,
-    }));
+    barChartInst = new Chart(barCtx, buildBarChartConfig(frameworks, theme));
+
+    /* ---- TREND CHART (only when some framework has history) ---- */
+    const trendMetric = getTrendMetric();
+    const hasHistory = frameworks.some(fw => fw.history?.length);
+    document.getElementById('trendChartBody').classList.toggle('hidden', !hasHistory);
+    document.getElementById('trendEmpty').classList.toggle('hidden', hasHistory);
+    if (hasHistory) {
+        const trendCtx = document.getElementById('trendChart').getContext('2d');
+        trendChartInst = new Chart(trendCtx, buildTrendChartConfig(frameworks, theme, trendMetric));
+    }
+
+    /* ---- Text alternatives ---- */
+    const names = frameworks.map(fw => fw.name).join(', ');
+    document.getElementById('radarChart').setAttribute('aria-label', t('chart.radarLabel', { names, count: METRICS.length }));
+    document.getElementById('barChart').setAttribute('aria-label', t('chart.barLabel', { names }));
+    renderChartDataTable(frameworks, document.getElementById('radarChartData'), t('chart.radarData'));
+    renderChartDataTable(frameworks, document.getElementById('barChartData'), t('chart.barData'));
+    const metricLabel = trendMetric ? METRICS.find(m => m.key === trendMetric).label : t('trend.average');
+    document.getElementById('trendChart').setAttribute('aria-label', t('chart.trendLabel', { names, metric: metricLabel }));
+    renderTrendDataTable(frameworks, trendMetric, document.getElementById('trendChartData'));
+}
+
+/** Metric picked in the trend chart's selector ('' → average score). */
+function getTrendMetric() {
+    const key = document.getElementById('trendMetric')?.value;
+    return METRICS.some(m => m.key === key) ? key : null;
+}
+
+function initTrendMetricPicker() {
+    const select = document.getElementById('trendMetric');
+    if (!select) return;
+    renderTrendMetricOptions();
+    select.addEventListener('change', redrawCharts);
+}
+
+function renderTrendMetricOptions() {
+    const select = document.getElementById('trendMetric');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = html`<option value="">${t('trend.average')}</option>
+        ${METRICS.map(m => html`<option value="${m.key}">${m.label}</option>`)}`;
+    select.value = current;
+}
+
+/** Every snapshot date across the frameworks, oldest first, then "now". */
+function getTrendLabels(frameworks) {
+    const dates = [...new Set(frameworks.flatMap(fw => (fw.history || []).map(h => h.date)))].sort();
+    return [...dates, null];
+}
+
+function getTrendValue(scores, metricKey) {
+    return metricKey ? scores[metricKey] : calcAvgScore({ scores });
+}
+
+function buildTrendChartConfig(frameworks, theme, metricKey) {
+    const series = FrameworkViews.getChartSeries(frameworks, theme, chartPalette);
+    const dates = getTrendLabels(frameworks);
+    const datasets = frameworks.map((fw, i) => {
+        const byDate = new Map(getScoreTimeline(fw).map(snap => [snap.date, getTrendValue(snap.scores, metricKey)]));
+        return {
+            label: fw.name,
+            data: dates.map(date => byDate.get(date) ?? null),
+            borderColor: series[i].border,
+            backgroundColor: series[i].border,
+            borderWidth: 2,
+            borderDash: series[i].dash,
+            pointStyle: series[i].pointStyle,
+            pointRadius: 4,
+            spanGaps: true,
+            tension: 0.25,
+        };
+    });
 
-    barChartInst = new Chart(barCtx, {
-        type: 'bar',
-        data: { labels: labels.map(l => l.split(' ')[0]), datasets: barDatasets },
+    return applySeriesVisibility({
+        type: 'line',
+        data: { labels: dates.map(date => date ?? t('trend.now')), datasets },
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -435,401 +1293,2293 @@ function renderCharts(frameworks) {
             },
             plugins: {
                 legend: {
-                    labels: { color: theme.text, font: { family: 'Inter', size: 12 }, boxWidth: 12 },
+                    labels: { color: theme.text, font: { family: 'Inter', size: 12 }, boxWidth: 12, usePointStyle: true },
                 },
             },
         },
-    });
+    }, frameworks);
 }
 
-/* ==========================================
-   COMPARISON TABLE — mobile card-ready
-   data-label on each <td> allows CSS to show
-   it as a card row label on small screens.
-   ========================================== */
-function renderComparisonTable(frameworks) {
-    const table = document.getElementById('comparisonTable');
+/** Trend chart numbers as a table (dates × frameworks; blank = no snapshot). */
+function renderTrendDataTable(frameworks, metricKey, container) {
+    if (!container) return;
+    const dates = getTrendLabels(frameworks);
+    const timelines = frameworks.map(fw => new Map(getScoreTimeline(fw).map(snap => [snap.date, snap.scores])));
+    container.innerHTML = html`
+      <table class="chart-data-table">
+        <caption class="sr-only">${t('chart.trendData')}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${t('trend.date')}</th>
+            ${frameworks.map(fw => html`<th scope="col">${fw.name}</th>`)}
+          </tr>
+        </thead>
+        <tbody>
+          ${dates.map(date => html`
+            <tr>
+              <th scope="row">${date ?? t('trend.now')}</th>
+              ${timelines.map(timeline => html`<td>${timeline.has(date) ? getTrendValue(timeline.get(date), metricKey) : '—'}</td>`)}
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+}
+
+/** A chart's data table (see views.js), when the container exists. */
+function renderChartDataTable(frameworks, container, caption) {
+    if (!container) return;
+    container.innerHTML = FrameworkViews.buildChartDataTableHTML(frameworks, { t, caption });
+}
+
+function buildRadarChartConfig(frameworks, theme) {
+    return applySeriesVisibility(FrameworkViews.buildRadarChartConfig(frameworks, theme, { t, palette: chartPalette }), frameworks);
+}
+
+function buildBarChartConfig(frameworks, theme) {
+    return applySeriesVisibility(FrameworkViews.buildBarChartConfig(frameworks, theme, { t, palette: chartPalette }), frameworks);
+}
+
+/* ==========================================
+   COMPARISON TABLE
+   Markup comes from views.js; the deltas are
+   against the baseline picked below.
+   ========================================== */
+function renderComparisonTable(frameworks, table = document.getElementById('comparisonTable')) {
+    table.innerHTML = FrameworkViews.buildComparisonTableHTML(frameworks, {
+        t,
+        baselineId,
+        metricIcons: Object.fromEntries(METRICS.map(m => [m.key, m.icon])),
+    });
+}
+
+/* ==========================================
+   HEAD-TO-HEAD ANALYSIS
+   Who leads each metric, a pairwise win/loss
+   matrix and a short written summary. The
+   baseline picker drives the table's deltas.
+   ========================================== */
+function initBaselinePicker() {
+    document.getElementById('baselineSelect')?.addEventListener('change', e => {
+        baselineId = e.target.value || null;
+        renderComparisonTable(getSelectedFrameworks());
+        syncUrlState();
+    });
+}
+
+function renderBaselinePicker(frameworks) {
+    const select = document.getElementById('baselineSelect');
+    if (!select) return;
+    if (!frameworks.some(fw => fw.id === baselineId)) baselineId = null;
+    select.innerHTML = html`<option value="">${t('h2h.noBaseline')}</option>
+        ${frameworks.map(fw => html`<option value="${fw.id}">${fw.name}</option>`)}`;
+    select.value = baselineId || '';
+}
+
+/**
+ * Per metric: the leading framework(s), their score and the margin over
+ * the best of the rest (0 when several share the lead).
+ */
+function computeMetricLeaders(frameworks) {
+    return METRICS.map(metric => {
+        const best = Math.max(...frameworks.map(fw => fw.scores[metric.key]));
+        const leaders = frameworks.filter(fw => fw.scores[metric.key] === best);
+        const rest = frameworks.filter(fw => fw.scores[metric.key] !== best).map(fw => fw.scores[metric.key]);
+        const margin = leaders.length === 1 && rest.length ? best - Math.max(...rest) : 0;
+        return { metric, leaders, best, margin };
+    });
+}
+
+/**
+ * matrix[i][j] = { wins, losses, ties } — metrics where frameworks[i]
+ * scores above / below / level with frameworks[j].
+ */
+function computeHeadToHead(frameworks) {
+    return frameworks.map(a => frameworks.map(b => {
+        const record = { wins: 0, losses: 0, ties: 0 };
+        if (a === b) return record;
+        METRICS.forEach(m => {
+            const diff = a.scores[m.key] - b.scores[m.key];
+            if (diff > 0) record.wins++;
+            else if (diff < 0) record.losses++;
+            else record.ties++;
+        });
+        return record;
+    }));
+}
+
+/** Plain-language sentences: one per metric, then the overall match-up leader. */
+function buildHeadToHeadSummary(frameworks) {
+    const names = list => new Intl.ListFormat(currentLocale, { type: 'conjunction' }).format(list.map(fw => fw.name));
+    const lines = computeMetricLeaders(frameworks).map(({ metric, leaders, margin }) => {
+        if (leaders.length === frameworks.length) return t('h2h.allTie', { metric: metric.label });
+        if (leaders.length > 1) return t('h2h.shareLead', { names: names(leaders), metric: metric.label });
+        return tn('h2h.leads', margin, { name: leaders[0].name, metric: metric.label });
+    });
+
+    const matrix = computeHeadToHead(frameworks);
+    const totals = frameworks.map((fw, i) => ({ fw, wins: matrix[i].filter(r => r.wins > r.losses).length }));
+    const top = Math.max(...totals.map(x => x.wins));
+    const winners = totals.filter(x => x.wins === top);
+    if (top > 0 && winners.length === 1) {
+        lines.push(t('h2h.overall', { name: winners[0].fw.name, wins: top, count: frameworks.length - 1 }));
+    }
+    return lines;
+}
+
+function renderHeadToHead(frameworks) {
+    const summary = document.getElementById('h2hSummary');
+    const table = document.getElementById('h2hMatrix');
+    if (!summary || !table) return;
+
+    summary.innerHTML = html`${buildHeadToHeadSummary(frameworks).map(line => html`<li>${line}</li>`)}`;
+
+    const matrix = computeHeadToHead(frameworks);
+    table.innerHTML = html`
+      <caption class="sr-only">${t('h2h.matrixCaption')}</caption>
+      <thead><tr>
+        <th scope="col"><span class="sr-only">${t('h2h.rowVsColumn')}</span></th>
+        ${frameworks.map(fw => html`<th scope="col" style="color:${safeColor(fw.color)}">${fw.name}</th>`)}
+      </tr></thead>
+      <tbody>
+        ${frameworks.map((fw, i) => html`<tr>
+          <th scope="row" style="color:${safeColor(fw.color)}">${fw.name}</th>
+          ${matrix[i].map((record, j) => {
+            if (i === j) return html`<td class="h2h-self">—</td>`;
+            const outcome = record.wins > record.losses ? 'win' : record.wins < record.losses ? 'loss' : 'draw';
+            const label = t(`h2h.${outcome}`, { name: fw.name, other: frameworks[j].name, wins: record.wins, losses: record.losses, ties: record.ties });
+            return html`<td class="h2h-${outcome}" title="${label}">
+              <span aria-hidden="true">${record.wins}–${record.losses}${record.ties ? html` <small>(${record.ties})</small>` : ''}</span>
+              <span class="sr-only">${label}</span>
+            </td>`;
+        })}
+        </tr>`)}
+      </tbody>`;
+}
+
+/* ==========================================
+   DASHBOARD EXPORT
+   CSV / JSON / Markdown of the selection,
+   PNG snapshots of the two charts.
+   ========================================== */
+function initExportMenu() {
+    const menu = document.getElementById('exportMenu');
+    if (!menu) return;
+    const toggle = document.getElementById('exportToggle');
+
+    const setOpen = open => {
+        menu.classList.toggle('open', open);
+        toggle.setAttribute('aria-expanded', String(open));
+    };
+
+    toggle.addEventListener('click', e => {
+        e.stopPropagation();
+        setOpen(!menu.classList.contains('open'));
+    });
+    menu.querySelector('.export-list').addEventListener('click', e => {
+        const item = e.target.closest('[data-export]');
+        if (!item) return;
+        setOpen(false);
+        exportComparison(item.dataset.export);
+    });
+    document.addEventListener('click', e => {
+        if (!menu.contains(e.target)) setOpen(false);
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') setOpen(false);
+    });
+}
+
+function getSelectedFrameworks() {
+    return ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id));
+}
+
+function exportComparison(format) {
+    const frameworks = getSelectedFrameworks();
+    if (frameworks.length < 2) {
+        showToast(t('export.needTwo'), 'warning');
+        return;
+    }
+    const base = `framework-comparison-${frameworks.map(fw => fw.id).join('-')}`;
+
+    switch (format) {
+        case 'csv':
+            downloadFile(`${base}.csv`, buildComparisonCSV(frameworks), 'text/csv');
+            break;
+        case 'json':
+            downloadFile(`${base}.json`, JSON.stringify(buildComparisonJSON(frameworks), null, 2), 'application/json');
+            break;
+        case 'markdown':
+            downloadFile(`${base}.md`, buildComparisonMarkdown(frameworks), 'text/markdown');
+            break;
+        case 'radar':
+            exportChartPNG(radarChartInst, `${base}-radar.png`);
+            return;
+        case 'bar':
+            exportChartPNG(barChartInst, `${base}-scores.png`);
+            return;
+        case 'trend':
+            exportChartPNG(trendChartInst, `${base}-trend.png`);
+            return;
+        default:
+            return;
+    }
+    showToast(t('export.done', { format: format.toUpperCase() }), 'success');
+}
+
+function buildComparisonCSV(frameworks) {
+    const header = ['id', 'name', 'type', 'language', 'creator', 'year', 'tagline',
+        ...METRICS.map(m => m.key), 'avgScore', 'tags', 'bestUseCases', 'pros', 'cons'];
+
+    // Text a spreadsheet would run as a formula gets a leading ' first;
+    // then quote every field containing a delimiter, quote or newline.
+    const cell = v => {
+        let text = String(v ?? '');
+        if (typeof v === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const list = arr => (arr || []).join('; ');
+
+    const rows = frameworks.map(fw => [
+        fw.id, fw.name, fw.type, fw.language, fw.creator, fw.year, fw.tagline,
+        ...METRICS.map(m => fw.scores[m.key]),
+        calcAvgScore(fw),
+        list(fw.tags), list(fw.bestUseCases), list(fw.pros), list(fw.cons),
+    ]);
+
+    return [header, ...rows].map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+function buildComparisonJSON(frameworks) {
+    return {
+        exportedAt: new Date().toISOString(),
+        metrics: METRICS.map(m => ({ key: m.key, label: m.label })),
+        frameworks: frameworks.map(fw => ({
+            id: fw.id,
+            name: fw.name,
+            type: fw.type,
+            language: fw.language,
+            creator: fw.creator,
+            year: fw.year,
+            tagline: fw.tagline,
+            scores: { ...fw.scores },
+            avgScore: calcAvgScore(fw),
+            tags: fw.tags || [],
+            bestUseCases: fw.bestUseCases,
+            pros: fw.pros,
+            cons: fw.cons,
+        })),
+    };
+}
+
+/**
+ * Same rows and cell text as renderComparisonTable(), as a GFM table:
+ * best score per row in bold with a ★, deltas against the baseline in brackets.
+ */
+function buildComparisonMarkdown(frameworks) {
+    // A raw newline would end the table row; keep the line break as <br>
+    const esc = v => String(v).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const line = cells => `| ${cells.map(esc).join(' | ')} |`;
+    const baseIndex = frameworks.findIndex(fw => fw.id === baselineId);
+    const scoreCell = (values, score, i) => {
+        const text = FrameworkDataset.isBestValue(values, score) ? `**${score}/100** ★` : `${score}/100`;
+        return baseIndex >= 0 && i !== baseIndex ? `${text} (${formatDelta(score - values[baseIndex])})` : text;
+    };
+
+    const lines = [
+        line(['', ...frameworks.map((fw, i) => (i === baseIndex ? `${fw.name} (${t('h2h.baseline')})` : fw.name))]),
+        line(['---', ...frameworks.map(() => '---')]),
+        ...FrameworkDataset.buildComparisonRows(frameworks, t).map(row =>
+            line([row.label, ...row.values.map((v, i) => (row.isScore ? scoreCell(row.values, v, i) : v))])
+        ),
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Snapshot a Chart.js canvas onto the current theme's card background
+ * (the live canvas is transparent, which looks wrong once pasted elsewhere).
+ */
+function exportChartPNG(chart, filename) {
+    if (!chart) {
+        showToast(t('export.needCharts'), 'warning');
+        return;
+    }
+    const src = chart.canvas;
+    const out = document.createElement('canvas');
+    out.width = src.width;
+    out.height = src.height;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-card').trim() || '#ffffff';
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(src, 0, 0);
+
+    const a = document.createElement('a');
+    a.href = out.toDataURL('image/png');
+    a.download = filename;
+    a.click();
+    showToast(t('export.chartDownloaded'), 'success');
+}
+
+function downloadFile(filename, content, mime) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ==========================================
+   PRINTABLE REPORT
+   A standalone light-themed layout of the
+   current comparison for printing / PDF.
+   ========================================== */
+function initPrintReport() {
+    document.getElementById('openReport')?.addEventListener('click', openPrintReport);
+    document.getElementById('reportPrint')?.addEventListener('click', () => window.print());
+    document.getElementById('reportClose')?.addEventListener('click', closePrintReport);
+    document.addEventListener('keydown', e => {
+        if (!document.body.classList.contains('report-open')) return;
+        if (e.key === 'Escape') closePrintReport();
+        if (e.key === 'Tab') trapFocus(document.getElementById('printReport'), e);
+    });
+}
+
+function openPrintReport() {
+    const frameworks = getSelectedFrameworks();
+    if (frameworks.length < 2) {
+        showToast(t('report.needTwo'), 'warning');
+        return;
+    }
+
+    const report = document.getElementById('printReport');
+    const body = document.getElementById('reportBody');
+    const date = new Date().toLocaleDateString(currentLocale, { year: 'numeric', month: 'long', day: 'numeric' });
+
+    body.innerHTML = html`
+      <header class="report-header">
+        <div class="report-brand"><i class="fas fa-code-branch"></i> FrameWork Forge</div>
+        <h1 class="report-title">${t('report.title')}</h1>
+        <p class="report-meta">${frameworks.map(fw => fw.name).join(' · ')} — ${date}</p>
+      </header>
+
+      <section class="report-section">
+        <h2 class="report-h2">${t('report.averages')}</h2>
+        <div class="report-score-row" id="reportScoreCards"></div>
+      </section>
+
+      <section class="report-section">
+        <h2 class="report-h2">${t('dashboard.metrics')}</h2>
+        <div id="reportProgressBars"></div>
+      </section>
+
+      <section class="report-section report-charts">
+        <figure><figcaption class="report-h2">${t('dashboard.radar')}</figcaption><div id="reportRadar"></div></figure>
+        <figure><figcaption class="report-h2">${t('dashboard.bar')}</figcaption><div id="reportBar"></div></figure>
+      </section>
+
+      <section class="report-section">
+        <h2 class="report-h2">${t('dashboard.table')}</h2>
+        <table id="reportTable" class="comparison-table w-full text-sm"></table>
+      </section>
+
+      <section class="report-section">
+        <h2 class="report-h2">${t('report.details')}</h2>
+        ${frameworks.map(fw => html`
+          <article class="report-fw">
+            <h3 class="report-fw-name" style="color:${safeColor(fw.color)}"><i class="${safeIcon(fw.icon)}"></i> ${fw.name}</h3>
+            <p class="report-fw-tagline">${fw.tagline}</p>
+            ${buildFrameworkNotesHTML(fw)}
+          </article>
+        `)}
+      </section>
+
+      <section class="report-section" id="reportRecommendation"></section>
+    `;
+
+    // Open first so the chart canvases have a real layout to draw into
+    report.classList.remove('hidden');
+    document.body.classList.add('report-open');
+
+    renderScoreCards(frameworks, document.getElementById('reportScoreCards'));
+    renderProgressBars(frameworks, document.getElementById('reportProgressBars'));
+    renderComparisonTable(frameworks, document.getElementById('reportTable'));
+    renderStaticChart(buildRadarChartConfig(frameworks, getChartThemeColors('light')), document.getElementById('reportRadar'));
+    renderStaticChart(buildBarChartConfig(frameworks, getChartThemeColors('light')), document.getElementById('reportBar'));
+    appendReportRecommendation(document.getElementById('reportRecommendation'));
+
+    report.scrollTop = 0;
+    document.getElementById('reportPrint').focus();
+}
+
+function closePrintReport() {
+    document.getElementById('printReport').classList.add('hidden');
+    document.body.classList.remove('report-open');
+    document.getElementById('openReport')?.focus();
+}
+
+/**
+ * Draw a chart once at a fixed size, then swap the canvas for an <img>
+ * so it prints reliably (no animation, no resize observers).
+ */
+function renderStaticChart(config, container) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 640;
+    canvas.height = 420;
+    container.appendChild(canvas);
+
+    config.options = { ...config.options, responsive: false, animation: false, devicePixelRatio: 2 };
+    const chart = new Chart(canvas.getContext('2d'), config);
+    const img = document.createElement('img');
+    img.src = chart.toBase64Image();
+    img.alt = t(`chart.alt.${config.type}`);
+    img.className = 'report-chart-img';
+    chart.destroy();
+    canvas.replaceWith(img);
+}
+
+/**
+ * Copy the latest recommendation card (single framework or stack) into the
+ * report, minus its buttons, with the breakdown expanded.
+ */
+function appendReportRecommendation(section) {
+    const card = document.querySelector('#recommendResult:not(.hidden) .result-card');
+    if (!card) {
+        section.remove();
+        return;
+    }
+    const copy = card.cloneNode(true);
+    copy.classList.add('report-result');
+    copy.querySelectorAll('button').forEach(b => b.remove());
+    copy.querySelectorAll('details').forEach(d => { d.open = true; });
+    section.innerHTML = html`<h2 class="report-h2">${t('report.latest')}</h2>`;
+    section.appendChild(copy);
+}
+
+/* ==========================================
+   SMART RECOMMENDATION ENGINE
+   Rule-based scoring system:
+   Weights each framework based on user answers.
+   ========================================== */
+let QUIZ_QUESTIONS = [];   // Validated questionnaire (from recommendation-rules.json)
+
+function initRecommendationForm() {
+    const steps = document.getElementById('quizSteps');
+    // Make radio pill selection work (since we're using hidden inputs)
+    steps.addEventListener('click', e => {
+        const input = e.target.closest('.radio-option')?.querySelector('input[type="radio"]');
+        if (input) setQuizAnswer(input.name, input.value);
+    });
+    steps.addEventListener('keydown', handleQuizKeydown);
+
+    document.getElementById('generateRecommendation').addEventListener('click', () => generateRecommendation({ record: true }));
+}
+
+/**
+ * Render the configured questions, keeping any answers already given
+ * (re-run on load and on locale change).
+ */
+function renderQuestionnaire() {
+    const steps = document.getElementById('quizSteps');
+    if (!steps) return;
+    const answers = readQuizAnswers();
+
+    // The native radios are hidden, so each pill row is an ARIA radio group
+    steps.innerHTML = html`${QUIZ_QUESTIONS.map((question, i) => {
+        const q = localizeEntry(question);
+        return html`
+        <div class="rec-question" data-question="${q.id}">
+          ${i > 0 && html`<div class="rec-divider"></div>`}
+          <div class="rec-step">
+            <div class="rec-step-header">
+              <div class="rec-step-num"></div>
+              <div>
+                <div class="rec-step-title" id="quizTitle-${q.id}"><i class="fas ${safeIcon(q.icon, 'fa-circle-question')}"></i> ${q.title}${!q.required && html` <span class="rec-optional">${t('quiz.optional')}</span>`}</div>
+                ${q.sub && html`<div class="rec-step-sub">${q.sub}</div>`}
+              </div>
+            </div>
+            <div class="rec-options-row" role="radiogroup" aria-labelledby="quizTitle-${q.id}">
+              ${q.options.map(option => {
+                const o = localizeEntry(option);
+                return html`
+              <label class="radio-option rec-option${answers[q.id] === o.value ? ' checked' : ''}" data-name="${q.id}" role="radio" aria-checked="false">
+                <input type="radio" name="${q.id}" value="${o.value}" class="hidden"${answers[q.id] === o.value ? ' checked' : ''} />
+                ${o.emoji && html`<span class="rec-option-emoji">${o.emoji}</span>`}
+                <span class="rec-option-text">${o.label}</span>
+                <i class="fas fa-check rec-check-icon"></i>
+              </label>`;
+            })}
+            </div>
+          </div>
+        </div>`;
+    })}`;
+    updateQuizVisibility();
+}
+
+/**
+ * Show only the questions whose `when` matches the answers so far; a question
+ * that drops out loses its answer. Visible steps are numbered 01, 02, …
+ */
+function updateQuizVisibility() {
+    let number = 0;
+    QUIZ_QUESTIONS.forEach(question => {
+        const step = document.querySelector(`.rec-question[data-question="${question.id}"]`);
+        if (!step) return;
+        const asked = whenMatches(question, readQuizAnswers());
+        step.classList.toggle('hidden', !asked);
+        if (asked) {
+            step.querySelector('.rec-step-num').textContent = String(++number).padStart(2, '0');
+        } else {
+            step.querySelectorAll('input:checked').forEach(input => { input.checked = false; });
+            step.querySelectorAll('.radio-option').forEach(o => o.classList.remove('checked'));
+        }
+        syncQuizGroupState([...step.querySelectorAll('.radio-option')]);
+    });
+    updateQuizProgress();
+}
+
+/** Questions currently asked, given the answers so far. */
+function getAskedQuestions(answers = readQuizAnswers()) {
+    return FrameworkEngine.getAskedQuestions(QUIZ_QUESTIONS, answers);
+}
+
+/** Required questions that are asked but not yet answered. */
+function getMissingAnswers(answers = readQuizAnswers()) {
+    return FrameworkEngine.getMissingAnswers(QUIZ_QUESTIONS, answers);
+}
+
+/**
+ * One tab stop per question (roving tabindex): arrows / Home / End move and
+ * select, Space / Enter select.
+ */
+function handleQuizKeydown(e) {
+    const row = e.target.closest('.rec-options-row');
+    if (!row) return;
+    const options = [...row.querySelectorAll('.radio-option')];
+    const current = options.indexOf(e.target.closest('.radio-option'));
+    if (current === -1) return;
+    const last = options.length - 1;
+    const next = {
+        ArrowRight: current === last ? 0 : current + 1,
+        ArrowDown: current === last ? 0 : current + 1,
+        ArrowLeft: current === 0 ? last : current - 1,
+        ArrowUp: current === 0 ? last : current - 1,
+        Home: 0,
+        End: last,
+        ' ': current,
+        Enter: current,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    const input = options[next].querySelector('input[type="radio"]');
+    setQuizAnswer(input.name, input.value);
+    options[next].focus();
+}
+
+/** aria-checked + roving tabindex for one question's options. */
+function syncQuizGroupState(options) {
+    const checkedIndex = options.findIndex(o => o.querySelector('input')?.checked);
+    options.forEach((option, i) => {
+        option.setAttribute('aria-checked', String(i === checkedIndex));
+        option.tabIndex = i === (checkedIndex === -1 ? 0 : checkedIndex) ? 0 : -1;
+    });
+}
+
+function updateQuizProgress() {
+    const answers = readQuizAnswers();
+    const asked = getAskedQuestions(answers);
+    const answered = asked.filter(question => answers[question.id]).length;
+    const countEl = document.getElementById('answeredCount');
+    const totalEl = document.getElementById('questionCount');
+    const fillEl = document.getElementById('answeredFill');
+    if (countEl) countEl.textContent = answered;
+    if (totalEl) totalEl.textContent = asked.length;
+    if (fillEl) fillEl.style.width = (asked.length ? answered / asked.length * 100 : 0) + '%';
+}
+
+/**
+ * Select one answer pill in a question group.
+ * Returns false if the value isn't one of the group's options.
+ */
+function setQuizAnswer(name, value) {
+    const input = [...document.querySelectorAll(`input[name="${name}"]`)].find(i => i.value === value);
+    if (!input) return false;
+    // Deselect siblings in the same group
+    document.querySelectorAll(`input[name="${name}"]`)
+        .forEach(i => i.closest('.radio-option').classList.remove('checked'));
+    // Select this option
+    input.closest('.radio-option').classList.add('checked');
+    input.checked = true;
+    updateQuizVisibility();
+    refreshWeightsPanel();
+    syncUrlState();
+    return true;
+}
+
+/** Untick every answer (before re-applying a stored set). */
+function clearQuizAnswers() {
+    document.querySelectorAll('#quizSteps input:checked').forEach(input => { input.checked = false; });
+    document.querySelectorAll('#quizSteps .radio-option.checked').forEach(o => o.classList.remove('checked'));
+    updateQuizVisibility();
+}
+
+/** Current quiz answers keyed by question id (undefined if unanswered). */
+function readQuizAnswers() {
+    return Object.fromEntries(QUIZ_QUESTIONS.map(question =>
+        [question.id, document.querySelector(`input[name="${question.id}"]:checked`)?.value]
+    ));
+}
+
+/** "Beginner · Small / Personal · …" for a set of answers, in question order. */
+function formatAnswers(answers) {
+    return FrameworkEngine.formatAnswers(QUIZ_QUESTIONS, answers, localizeEntry);
+}
+
+/**
+ * Only an explicit "Generate" click is recorded in the recommendation
+ * history; live re-ranks and restored links just redraw the result.
+ */
+function generateRecommendation({ scroll = true, record = false } = {}) {
+    if (!QUIZ_QUESTIONS.length) {
+        showToast(t('rec.noQuestions'), 'warning');
+        return;
+    }
+
+    /* Read user answers — every asked, required question needs one */
+    const answers = readQuizAnswers();
+    const missing = getMissingAnswers(answers);
+    if (missing.length) {
+        showToast(t('rec.needRequired', { questions: missing.map(q => localizeEntry(q).title).join(', ') }), 'warning');
+        return;
+    }
+
+    const ranking = rankRecommendation(answers);
+    const { scored, pairs } = ranking;
+    if (record) recordRecommendation(answers, ranking);
+    const sensitivity = analyzeSensitivity(answers, ranking);
+
+    /* Fullstack → recommend a frontend + backend pair instead of one framework */
+    if (pairs) {
+        displayStackRecommendation(pairs, answers, { scroll, sensitivity });
+        return;
+    }
+    if (answers.type === 'fullstack') showToast(t('rec.noPairs'), 'info');
+
+    const winner = scored[0].fw;
+    const runners = scored.slice(1, 3).map(s => s.fw);
+    const explanation = buildExplanation(winner, answers);
+
+    displayRecommendation(winner, runners, explanation, answers, scored, { scroll, sensitivity });
+}
+
+/**
+ * Score every framework for a set of answers, best first, with the active
+ * weights (see engine.js rankFrameworks).
+ */
+function rankRecommendation(answers) {
+    return FrameworkEngine.rankFrameworks(ALL_FRAMEWORKS, answers, {
+        terms: getScoringTerms(answers),
+        affinities: PAIRING_AFFINITIES,
+        i18n: ENGINE_I18N,
+    });
+}
+
+/**
+ * Build a human-readable explanation string for the recommendation.
+ */
+function buildExplanation(fw, answers) {
+    return FrameworkEngine.buildExplanation(fw, answers, ENGINE_I18N);
+}
+
+/**
+ * Render the recommendation result card.
+ */
+function displayRecommendation(winner, runners, explanation, prefs, ranking, { scroll = true, sensitivity = null } = {}) {
+    const resultEl = document.getElementById('recommendResult');
+    const color = safeColor(winner.color);
+
+    /* Build reason chips from matching tags */
+    const reasonChips = buildReasonChips(winner, prefs);
+
+    // Keep the breakdown and matrix expanded across live re-ranks
+    const breakdownOpen = resultEl.querySelector('.breakdown-panel:not(.sensitivity-panel)')?.open || false;
+    const matrixOpen = resultEl.querySelector('.sensitivity-panel')?.open || false;
+
+    resultEl.innerHTML = html`
+    <div class="result-card">
+      <!-- Winner badge -->
+      <div class="winner-badge">
+        <i class="fas fa-trophy"></i> ${t('rec.bestMatch')}
+      </div>
+
+      <!-- Winner name + icon -->
+      <div class="flex items-center gap-4 mb-4">
+        <div class="score-fw-icon w-16 h-16 rounded-2xl" style="background:${color}22; color:${color}; width:64px; height:64px; display:flex; align-items:center; justify-content:center; font-size:1.75rem; border-radius:16px;">
+          <i class="${safeIcon(winner.icon)}"></i>
+        </div>
+        <div>
+          <div class="result-framework-name">${winner.name}</div>
+          <div style="color: var(--text-muted); font-size:0.85rem;">${winner.tagline}</div>
+        </div>
+      </div>
+
+      <!-- Explanation -->
+      <p class="result-explanation">${explanation}</p>
+
+      <!-- Reason Chips -->
+      <div class="reason-chips mb-6">${reasonChips}</div>
+
+      <!-- Score grid -->
+      <div class="modal-score-grid">
+        ${METRICS.map(m => html`
+          <div class="modal-score-box">
+            <div class="modal-score-val">${winner.scores[m.key]}</div>
+            <div class="modal-score-key">${m.label}</div>
+          </div>
+        `)}
+      </div>
+
+      <!-- Runner-ups -->
+      <div class="mt-6">
+        <div class="modal-section-title">${t('rec.alsoConsider')}</div>
+        <div class="runner-up-grid">
+          ${runners.map(fw => html`
+            <div class="runner-card">
+              <strong>${fw.name}</strong><br/>
+              <span>${t(`type.${fw.type}`)} · ${fw.language}</span>
+            </div>
+          `)}
+        </div>
+      </div>
+
+      <!-- Margin & what-ifs -->
+      ${sensitivity && buildSensitivityHTML(sensitivity, matrixOpen)}
+
+      <!-- Score breakdown -->
+      ${buildBreakdownHTML(ranking, breakdownOpen)}
+
+      <!-- View detail button -->
+      <div class="mt-6 flex flex-wrap gap-3">
+        <button type="button" data-action="open-details" data-id="${winner.id}" class="btn-primary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
+          <i class="fas fa-info-circle"></i> ${t('rec.learnMore', { name: winner.name })}
+        </button>
+        <button type="button" data-action="compare-one" data-id="${winner.id}" class="btn-secondary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
+          <i class="fas fa-balance-scale"></i> ${t('rec.compare', { name: winner.name })}
+        </button>
+        <button type="button" data-action="copy-link" class="btn-secondary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
+          <i class="fas fa-link"></i> ${t('common.copyLink')}
+        </button>
+      </div>
+    </div>
+  `;
+
+    resultEl.classList.remove('hidden');
+    if (scroll) resultEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Expandable "why this ranking" section: per-rule contributions for the
+ * winner and runners-up side by side, then every framework's total.
+ */
+function buildBreakdownHTML(ranking, open) {
+    const top = ranking.slice(0, 3);
+    const winnerScore = ranking[0].score;
+    const fmt = n => `${n > 0 ? '+' : ''}${Math.round(n * 10) / 10}`;
+
+    // One row per (rule, source) pair that fired for any of the top three
+    const rows = [];
+    top.forEach(entry => entry.contributions.forEach(c => {
+        const key = `${c.rule}|${c.source}`;
+        if (!rows.some(r => r.key === key)) rows.push({ key, rule: c.rule, source: c.source });
+    }));
+
+    const cell = (entry, row) => {
+        const c = entry.contributions.find(x => `${x.rule}|${x.source}` === row.key);
+        if (!c) return html`<td class="breakdown-empty">—</td>`;
+        return html`<td class="${c.points < 0 && 'breakdown-neg'}" title="${c.detail}">${fmt(c.points)}</td>`;
+    };
+
+    return html`
+      <details class="breakdown-panel mt-6" ${open && 'open'}>
+        <summary class="breakdown-summary">
+          <i class="fas fa-list-ol"></i> ${t('breakdown.summary')}
+          <i class="fas fa-chevron-down weights-chevron"></i>
+        </summary>
+
+        <div class="breakdown-body">
+          <div class="modal-section-title">${t('breakdown.rules')}</div>
+          <div class="overflow-x-auto">
+            <table class="breakdown-table">
+              <thead>
+                <tr>
+                  <th>${t('breakdown.rule')}</th>
+                  <th>${t('breakdown.appliesTo')}</th>
+                  ${top.map(e => html`<th style="color:${safeColor(e.fw.color)}">${e.fw.name}</th>`)}
+                </tr>
+              </thead>
+              <tbody>
+                ${rows.map(r => html`
+                  <tr>
+                    <td>${r.rule}</td>
+                    <td class="breakdown-source">${r.source}</td>
+                    ${top.map(e => cell(e, r))}
+                  </tr>
+                `)}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="2"><strong>${t('breakdown.total')}</strong></td>
+                  ${top.map(e => html`<td><strong>${e.score}</strong></td>`)}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          <div class="modal-section-title">${t('breakdown.fullRanking')}</div>
+          <table class="breakdown-table breakdown-ranking">
+            <tbody>
+              ${ranking.map((e, i) => html`
+                <tr class="${i === 0 && 'breakdown-winner'}">
+                  <td class="breakdown-rank">#${i + 1}</td>
+                  <td><i class="${safeIcon(e.fw.icon)}" style="color:${safeColor(e.fw.color)}"></i> ${e.fw.name}</td>
+                  <td><strong>${t('common.points', { points: e.score })}</strong></td>
+                  <td class="breakdown-source">${i === 0 ? t('breakdown.winner') : t('breakdown.behind', { points: winnerScore - e.score })}</td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    `;
+}
+
+/**
+ * Render the fullstack result card: best frontend + backend pair,
+ * the next two pairs, and a per-pair breakdown.
+ */
+function displayStackRecommendation(pairs, prefs, { scroll = true, sensitivity = null } = {}) {
+    const resultEl = document.getElementById('recommendResult');
+    const best = pairs[0];
+    const { front, back } = best;
+    const breakdownOpen = resultEl.querySelector('.breakdown-panel:not(.sensitivity-panel)')?.open || false;
+    const matrixOpen = resultEl.querySelector('.sensitivity-panel')?.open || false;
+
+    const icon = fw => html`
+        <div class="score-fw-icon" style="background:${safeColor(fw.color)}22; color:${safeColor(fw.color)}; width:56px; height:56px; margin:0; font-size:1.5rem; border-radius:14px;">
+          <i class="${safeIcon(fw.icon)}"></i>
+        </div>`;
+
+    resultEl.innerHTML = html`
+    <div class="result-card">
+      <!-- Winner badge -->
+      <div class="winner-badge">
+        <i class="fas fa-trophy"></i> ${t('rec.bestStack')}
+      </div>
+
+      <!-- Stack names + icons -->
+      <div class="stack-heading mb-4">
+        <div class="stack-icons">${icon(front.fw)}<span class="stack-plus">+</span>${icon(back.fw)}</div>
+        <div>
+          <div class="result-framework-name">${front.fw.name} + ${back.fw.name}</div>
+          <div style="color: var(--text-muted); font-size:0.85rem;">
+            ${t('rec.stackMeta', { front: front.fw.language, back: back.fw.language, points: best.total })}
+          </div>
+        </div>
+      </div>
+
+      <!-- Explanation -->
+      <p class="result-explanation">${buildStackExplanation(best, prefs)}</p>
+
+      <!-- Reason Chips -->
+      <div class="reason-chips mb-6">
+        ${best.affinities.map(a => html`<span class="reason-chip">${a.label}</span>`)}
+        ${buildReasonChips(front.fw, prefs)}
+      </div>
+
+      <!-- Runner-up stacks -->
+      <div class="mt-6">
+        <div class="modal-section-title">${t('rec.otherStacks')}</div>
+        <div class="runner-up-grid">
+          ${pairs.slice(1, 3).map(p => html`
+            <div class="runner-card">
+              <strong>${p.front.fw.name} + ${p.back.fw.name}</strong><br/>
+              <span>${t('common.points', { points: p.total })}${p.affinities.length ? html` · ${p.affinities.map(a => a.label).join(', ')}` : ''}</span>
+              <button type="button" data-action="compare-stack" data-front="${p.front.fw.id}" data-back="${p.back.fw.id}" class="runner-compare-btn">
+                <i class="fas fa-balance-scale"></i> ${t('rec.compareStack')}
+              </button>
+            </div>
+          `)}
+        </div>
+      </div>
+
+      <!-- Margin & what-ifs -->
+      ${sensitivity && buildSensitivityHTML(sensitivity, matrixOpen)}
+
+      <!-- Score breakdown -->
+      ${buildStackBreakdownHTML(pairs, breakdownOpen)}
+
+      <!-- Actions -->
+      <div class="mt-6 flex flex-wrap gap-3">
+        <button type="button" data-action="compare-stack" data-front="${front.fw.id}" data-back="${back.fw.id}" class="btn-primary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
+          <i class="fas fa-balance-scale"></i> ${t('rec.compareStack')}
+        </button>
+        <button type="button" data-action="copy-link" class="btn-secondary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
+          <i class="fas fa-link"></i> ${t('common.copyLink')}
+        </button>
+      </div>
+    </div>
+  `;
+
+    resultEl.classList.remove('hidden');
+    if (scroll) resultEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function buildStackExplanation(pair, answers) {
+    return FrameworkEngine.buildStackExplanation(pair, answers, ENGINE_I18N);
+}
+
+/**
+ * Breakdown for stacks: each top pair's frontend score, backend score and
+ * affinity bonuses, then every pairing's total.
+ */
+function buildStackBreakdownHTML(pairs, open) {
+    const top = pairs.slice(0, 3);
+    const labels = [...new Set(top.flatMap(p => p.affinities.map(a => a.label)))];
+    const best = pairs[0].total;
+    const name = p => html`${p.front.fw.name} + ${p.back.fw.name}`;
+
+    return html`
+      <details class="breakdown-panel mt-6" ${open && 'open'}>
+        <summary class="breakdown-summary">
+          <i class="fas fa-list-ol"></i> ${t('breakdown.stackSummary')}
+          <i class="fas fa-chevron-down weights-chevron"></i>
+        </summary>
+
+        <div class="breakdown-body">
+          <div class="modal-section-title">${t('breakdown.pairs')}</div>
+          <div class="overflow-x-auto">
+            <table class="breakdown-table">
+              <thead>
+                <tr>
+                  <th>${t('breakdown.component')}</th>
+                  ${top.map(p => html`<th>${name(p)}</th>`)}
+                </tr>
+              </thead>
+              <tbody>
+                <tr><td>${t('breakdown.frontendScore')}</td>${top.map(p => html`<td>+${p.front.score}</td>`)}</tr>
+                <tr><td>${t('breakdown.backendScore')}</td>${top.map(p => html`<td>+${p.back.score}</td>`)}</tr>
+                ${labels.map(label => html`
+                  <tr>
+                    <td>${label}</td>
+                    ${top.map(p => {
+                        const a = p.affinities.find(x => x.label === label);
+                        return a ? html`<td>+${a.points}</td>` : html`<td class="breakdown-empty">—</td>`;
+                    })}
+                  </tr>
+                `)}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td><strong>${t('breakdown.total')}</strong></td>
+                  ${top.map(p => html`<td><strong>${p.total}</strong></td>`)}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          <div class="modal-section-title">${t('breakdown.allStacks')}</div>
+          <table class="breakdown-table breakdown-ranking">
+            <tbody>
+              ${pairs.map((p, i) => html`
+                <tr class="${i === 0 && 'breakdown-winner'}">
+                  <td class="breakdown-rank">#${i + 1}</td>
+                  <td>${name(p)}</td>
+                  <td><strong>${t('common.points', { points: p.total })}</strong></td>
+                  <td class="breakdown-source">${i === 0 ? t('breakdown.winner') : t('breakdown.behind', { points: best - p.total })}</td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    `;
+}
+
+/** Margin and winner flips for the current answers (see engine.js analyzeSensitivity). */
+function analyzeSensitivity(answers, ranking) {
+    return FrameworkEngine.analyzeSensitivity(QUIZ_QUESTIONS, answers, rankRecommendation, ranking);
+}
+
+const MAX_LISTED_FLIPS = 5;   // the rest are in the matrix
+
+/**
+ * "How close was it?": the lead over the runner-up (flagging near-ties),
+ * the single answer changes that would crown someone else, and an
+ * expandable answer-by-winner matrix.
+ */
+function buildSensitivityHTML({ winner, runnerUp, margin, tie, nearTie, rows, flips }, open) {
+    const optionLabel = (question, value) => localizeEntry(question.options.find(o => o.value === value)).label;
+    const points = n => t('common.points', { points: n });
+    const width = Math.max(...rows.map(row => row.cells.length));
+
+    let marginText;
+    if (margin === null) marginText = t('sense.alone');
+    else if (tie) marginText = tHTML('sense.tie', { name: winner.label, runnerUp: runnerUp.label });
+    else marginText = tHTML('sense.margin', { name: winner.label, runnerUp: runnerUp.label, points: points(margin) });
+
+    return html`
+      <div class="sensitivity mt-6">
+        <div class="modal-section-title">${t('sense.title')}</div>
+        <p class="sensitivity-margin">
+          ${nearTie && html`<span class="near-tie-badge"><i class="fas fa-scale-balanced" aria-hidden="true"></i> ${t(tie ? 'sense.tieBadge' : 'sense.nearTieBadge')}</span>`}
+          ${marginText}
+          ${nearTie && !tie && html`<span class="sensitivity-hint">${t('sense.nearTieHint', { points: FrameworkEngine.NEAR_TIE_POINTS })}</span>`}
+        </p>
+
+        <div class="modal-section-title">${t('sense.flipsTitle')}</div>
+        ${flips.length ? html`
+          <ul class="flip-list">
+            ${flips.slice(0, MAX_LISTED_FLIPS).map(f => html`<li>${tHTML('sense.flip', {
+                answer: optionLabel(f.question, f.value),
+                question: localizeEntry(f.question).title,
+                name: f.winner.label,
+            })}</li>`)}
+          </ul>
+          ${flips.length > MAX_LISTED_FLIPS && html`<p class="sensitivity-hint">${tn('sense.moreFlips', flips.length - MAX_LISTED_FLIPS)}</p>`}
+        ` : html`<p class="sensitivity-hint">${t('sense.noFlips')}</p>`}
+
+        <details class="breakdown-panel sensitivity-panel mt-4" ${open && 'open'}>
+          <summary class="breakdown-summary">
+            <i class="fas fa-table-cells"></i> ${t('sense.matrixSummary')}
+            <i class="fas fa-chevron-down weights-chevron"></i>
+          </summary>
+          <div class="breakdown-body">
+            <p class="sensitivity-hint mb-3">${t('sense.matrixHint')}</p>
+            <div class="overflow-x-auto">
+              <table class="breakdown-table sensitivity-matrix">
+                <tbody>
+                  ${rows.map(({ question, cells }) => html`
+                    <tr>
+                      <th scope="row">${localizeEntry(question).title}</th>
+                      ${cells.map(c => html`
+                        <td class="${[c.current && 'sensitivity-current', c.flip && 'sensitivity-flip'].filter(Boolean).join(' ')}">
+                          <span class="sensitivity-answer">${optionLabel(question, c.value)}${c.current && html`<span class="sr-only"> (${t('sense.yourAnswer')})</span>`}</span>
+                          ${c.winner
+                              ? html`<strong>${c.winner.label}</strong>${c.flip && html`<span class="sr-only"> (${t('sense.differentWinner')})</span>`}
+                                ${c.margin !== null && html`<span class="sensitivity-cell-margin">${c.margin === 0 ? t('sense.tieBadge') : t('sense.cellMargin', { points: points(c.margin) })}</span>`}`
+                              : html`<em>${t('sense.needsMore')}</em>`}
+                        </td>
+                      `)}
+                      ${Array.from({ length: width - cells.length }, () => html`<td></td>`)}
+                    </tr>
+                  `)}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </details>
+      </div>
+    `;
+}
+
+/**
+ * Replace the selection with a frontend + backend pair and open the dashboard.
+ */
+function compareStack(frontId, backId) {
+    selectedIds.clear();
+    [frontId, backId].forEach(id => selectedIds.add(id));
+    updateSelectionUI();
+    showComparisonDashboard();
+    const names = [frontId, backId].map(id => ALL_FRAMEWORKS.find(fw => fw.id === id)?.name || id);
+    showToast(t('selection.comparingStack', { names: names.join(' + ') }), 'success');
+}
+
+function buildReasonChips(fw, { experience, scale, priority, type }) {
+    const chips = [];
+    if (experience === 'beginner' && fw.scores.learningCurve >= 75) chips.push('beginner');
+    if (experience === 'advanced' && fw.scores.scalability >= 85) chips.push('enterprise');
+    if (scale === 'large' && fw.scores.scalability >= 85) chips.push('scalable');
+    if (priority === 'performance' && fw.scores.performance >= 85) chips.push('performance');
+    if (priority === 'jobs' && fw.scores.jobDemand >= 85) chips.push('jobs');
+    if (fw.scores.communitySupport >= 85) chips.push('community');
+    if (type === 'frontend' && fw.type === 'Frontend') chips.push('frontend');
+    if (type === 'backend' && fw.type === 'Backend') chips.push('backend');
+    return chips.map(c => html`<span class="reason-chip">${t(`chip.${c}`)}</span>`);
+}
+
+/**
+ * Pre-select a framework and scroll to comparison section.
+ */
+function preselectAndCompare(id) {
+    if (!selectedIds.has(id)) {
+        selectedIds.add(id);
+        updateSelectionUI();
+    }
+    document.getElementById('compare').scrollIntoView({ behavior: 'smooth' });
+    const name = ALL_FRAMEWORKS.find(fw => fw.id === id)?.name || id;
+    showToast(t('selection.preselected', { name }), 'info');
+}
+
+/* ==========================================
+   FRAMEWORK DETAIL MODAL
+   ========================================== */
+function openModal(id, event) {
+    if (event) event.stopPropagation();
+    const fw = ALL_FRAMEWORKS.find(f => f.id === id);
+    if (!fw) return;
+
+    const color = safeColor(fw.color);
+    const modal = document.getElementById('detailModal');
+    const body = document.getElementById('modalBody');
+
+    body.innerHTML = html`
+    <!-- Header -->
+    <div class="modal-header-icon" style="background:${color}22; color:${color}">
+      <i class="${safeIcon(fw.icon)}"></i>
+    </div>
+    <h2 class="modal-fw-name" id="modalTitle">${fw.name}</h2>
+    <p style="color:var(--text-muted); font-size:0.85rem; margin: 4px 0 4px 0">${fw.tagline}</p>
+    <div style="display:flex; gap:0.5rem; margin-bottom:1rem; flex-wrap:wrap;">
+      <span class="card-type-badge ${fw.type.toLowerCase()}" style="margin-bottom:0">${t(`type.${fw.type}`)}</span>
+      <span style="font-size:0.75rem; color:var(--text-muted); display:flex; align-items:center; gap:4px">
+        <i class="fas fa-code"></i> ${fw.language}
+      </span>
+      <span style="font-size:0.75rem; color:var(--text-muted); display:flex; align-items:center; gap:4px">
+        <i class="fas fa-calendar"></i> ${t('modal.since', { year: fw.year })}
+      </span>
+      <span style="font-size:0.75rem; color:var(--text-muted); display:flex; align-items:center; gap:4px">
+        <i class="fas fa-user"></i> ${fw.creator}
+      </span>
+    </div>
+
+    <!-- Scores -->
+    <div class="modal-section-title">${t('modal.scores')}</div>
+    <div class="modal-score-grid">
+      ${METRICS.map(m => html`
+        <div class="modal-score-box">
+          <div class="modal-score-val">${fw.scores[m.key]}</div>
+          <div class="modal-score-key">${m.label}</div>
+          ${renderTrendBadge(getScoreTrend(fw, m.key))}
+        </div>
+      `)}
+    </div>
+
+    ${buildFrameworkNotesHTML(fw)}
+
+    <!-- Action footer -->
+    <div style="margin-top:1.5rem; display:flex; gap:0.75rem; flex-wrap:wrap;">
+      <button type="button" data-action="add-from-modal" data-id="${fw.id}" class="btn-primary flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all duration-200" style="display:flex">
+        <i class="fas fa-plus"></i> ${t('modal.add')}
+      </button>
+      ${fw.custom ? html`
+      <button type="button" data-action="edit-framework" data-id="${fw.id}" class="btn-secondary flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all duration-200">
+        <i class="fas fa-pen"></i> ${t('modal.edit')}
+      </button>
+      <button type="button" data-action="delete-framework" data-id="${fw.id}" class="danger-btn flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all duration-200">
+        <i class="fas fa-trash"></i> ${t('modal.delete')}
+      </button>` : ''}
+    </div>
+  `;
+
+    showModal();
+}
+
+/**
+ * Best use cases, pros and cons — shared by the detail modal and the print report.
+ */
+function buildFrameworkNotesHTML(fw) {
+    return html`
+    <!-- Best Use Cases -->
+    <div class="modal-section-title">${t('notes.useCases')}</div>
+    <div style="display:flex; flex-wrap:wrap; gap:8px; margin-top:0.5rem">
+      ${fw.bestUseCases.map(u => html`<span class="use-case-chip"><i class="fas fa-check-circle text-xs"></i>${u}</span>`)}
+    </div>
+
+    <!-- Pros -->
+    <div class="modal-section-title">${t('notes.pros')}</div>
+    ${fw.pros.map(p => html`
+      <div class="pro-item">
+        <i class="fas fa-circle-check pro-icon"></i>
+        <span>${p}</span>
+      </div>
+    `)}
+
+    <!-- Cons -->
+    <div class="modal-section-title">${t('notes.cons')}</div>
+    ${fw.cons.map(c => html`
+      <div class="con-item">
+        <i class="fas fa-circle-xmark con-icon"></i>
+        <span>${c}</span>
+      </div>
+    `)}
+  `;
+}
+
+let modalReturnFocus = null;   // Element to give focus back to on close
+
+/**
+ * Show the dialog and move focus into it. Re-opening while already open
+ * (details → edit form) keeps the original return target.
+ */
+function showModal(focusTarget) {
+    const modal = document.getElementById('detailModal');
+    if (modal.style.display !== 'flex') modalReturnFocus = document.activeElement;
+
+    // Use style.display directly — avoids ALL Tailwind class conflicts
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+    (focusTarget || document.getElementById('closeModal')).focus();
+}
+
+function closeModal() {
+    const modal = document.getElementById('detailModal');
+    if (modal.style.display !== 'flex') return;
+    modal.style.display = 'none';
+    document.body.style.overflow = '';
+    // Return focus to the opener if it is still on the page (cards re-render)
+    if (modalReturnFocus && document.contains(modalReturnFocus)) modalReturnFocus.focus();
+    modalReturnFocus = null;
+}
+
+function initModalClose() {
+    document.getElementById('closeModal').addEventListener('click', closeModal);
+    document.getElementById('modalBackdrop').addEventListener('click', closeModal);
+    const modal = document.getElementById('detailModal');
+    // ESC closes, Tab stays inside the dialog
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') closeModal();
+        if (e.key === 'Tab' && modal.style.display === 'flex') trapFocus(modal.querySelector('.modal-content'), e);
+    });
+}
+
+/**
+ * Keep Tab / Shift+Tab cycling within a container.
+ */
+function trapFocus(container, e) {
+    const focusable = [...container.querySelectorAll(
+        'button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])'
+    )].filter(el => !el.disabled && el.offsetParent !== null);
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!container.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/* ==========================================
+   CUSTOM FRAMEWORKS
+   User-defined entries kept in localStorage
+   and merged into ALL_FRAMEWORKS after load.
+   ========================================== */
+const CUSTOM_FRAMEWORKS_KEY = 'ffCustomFrameworks';
+const FRAMEWORK_TYPES = FRAMEWORK_SCHEMA.type.values;
+const FRAMEWORK_ICONS = [
+    'fas fa-cube', 'fas fa-code', 'fas fa-layer-group', 'fas fa-server', 'fas fa-bolt',
+    'fas fa-rocket', 'fas fa-leaf', 'fas fa-feather', 'fab fa-js', 'fab fa-python',
+    'fab fa-java', 'fab fa-php', 'fab fa-node-js', 'fab fa-rust', 'fab fa-golang',
+];
+
+let customFrameworks = loadCustomFrameworks();
+
+function loadCustomFrameworks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_FRAMEWORKS_KEY));
+        if (saved) {
+            const { frameworks, issues } = validateFrameworks(saved);
+            // The notice markup isn't parsed yet — report once the DOM is ready
+            if (issues.length) {
+                document.addEventListener('DOMContentLoaded', () =>
+                    reportDataIssues(CUSTOM_FRAMEWORKS_KEY, t('dataHealth.customSource'), issues));
+            }
+            return frameworks;
+        }
+    } catch (e) {
+        console.warn('Ignoring unreadable custom frameworks.', e);
+    }
+    return [];
+}
+
+function saveCustomFrameworks() {
+    if (customFrameworks.length) localStorage.setItem(CUSTOM_FRAMEWORKS_KEY, JSON.stringify(customFrameworks));
+    else localStorage.removeItem(CUSTOM_FRAMEWORKS_KEY);
+}
+
+/**
+ * ALL_FRAMEWORKS = active dataset + custom entries, in the active locale.
+ * Dataset ids win: a custom entry that collides with one is skipped.
+ */
+function rebuildFrameworkList() {
+    const base = getDatasetFrameworks();
+    const taken = new Set(base.map(fw => fw.id));
+    const extras = customFrameworks
+        .filter(fw => !taken.has(fw.id))
+        .map(fw => ({ ...fw, custom: true }));
+    ALL_FRAMEWORKS = [...base, ...extras].map(localizeEntry);
+}
+
+/**
+ * Show the add / edit form inside the detail modal.
+ */
+function openFrameworkForm(id = null) {
+    const fw = id ? customFrameworks.find(f => f.id === id) : null;
+    const modal = document.getElementById('detailModal');
+    const body = document.getElementById('modalBody');
+
+    body.innerHTML = html`
+    <h2 class="modal-fw-name" id="modalTitle">${t(fw ? 'form.editTitle' : 'form.addTitle')}</h2>
+    <p style="color:var(--text-muted); font-size:0.85rem; margin: 4px 0 1rem 0">
+      ${t('form.intro')}
+    </p>
+    <form id="frameworkForm" class="fw-form" novalidate>
+      <div class="fw-form-grid">
+        <label class="fw-field">${t('form.name')}<input name="name" required maxlength="40" /></label>
+        <label class="fw-field">${t('form.type')}
+          <select name="type">${FRAMEWORK_TYPES.map(type => html`<option value="${type}">${t(`type.${type}`)}</option>`)}</select>
+        </label>
+        <label class="fw-field">${t('form.language')}<input name="language" required maxlength="30" placeholder="${t('form.languagePlaceholder')}" /></label>
+        <label class="fw-field">${t('form.creator')}<input name="creator" maxlength="60" /></label>
+        <label class="fw-field">${t('form.year')}<input name="year" type="number" min="1970" max="2100" /></label>
+        <label class="fw-field">${t('form.color')}<input name="color" type="color" value="#8b5cf6" /></label>
+        <label class="fw-field fw-field-wide">${t('form.icon')}
+          <input name="icon" list="fwIconOptions" placeholder="fas fa-cube" />
+          <datalist id="fwIconOptions">${FRAMEWORK_ICONS.map(i => html`<option value="${i}"></option>`)}</datalist>
+        </label>
+        <label class="fw-field fw-field-wide">${t('form.tagline')}<input name="tagline" maxlength="100" /></label>
+      </div>
+
+      <div class="modal-section-title">${t('form.scores')}</div>
+      <div class="fw-form-grid">
+        ${METRICS.map(m => html`
+          <label class="fw-field">${m.label}<input name="score-${m.key}" type="number" min="0" max="100" required /></label>
+        `)}
+      </div>
+
+      <div class="modal-section-title">${t('form.details')} <span class="fw-form-hint">${t('form.onePerLine')}</span></div>
+      <div class="fw-form-grid">
+        <label class="fw-field fw-field-wide">${t('form.useCases')}<textarea name="bestUseCases" rows="3"></textarea></label>
+        <label class="fw-field">${t('form.pros')}<textarea name="pros" rows="4"></textarea></label>
+        <label class="fw-field">${t('form.cons')}<textarea name="cons" rows="4"></textarea></label>
+        <label class="fw-field fw-field-wide">${t('form.tags')} <span class="fw-form-hint">${t('form.tagsHint')}</span>
+          <input name="tags" />
+        </label>
+      </div>
+
+      <p id="fwFormError" class="fw-form-error hidden" role="alert"></p>
+
+      <div style="margin-top:1.5rem; display:flex; gap:0.75rem; flex-wrap:wrap;">
+        <button type="submit" class="btn-primary flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all duration-200">
+          <i class="fas fa-floppy-disk"></i> ${t(fw ? 'form.save' : 'form.add')}
+        </button>
+        <button type="button" id="fwFormCancel" class="btn-secondary flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all duration-200">
+          ${t('form.cancel')}
+        </button>
+      </div>
+    </form>
+  `;
+
+    const form = body.querySelector('#frameworkForm');
+    // Fill values through the DOM so user text never round-trips through HTML
+    if (fw) {
+        ['name', 'type', 'language', 'creator', 'year', 'color', 'icon', 'tagline'].forEach(key => {
+            form.elements[key].value = fw[key] ?? '';
+        });
+        METRICS.forEach(m => { form.elements[`score-${m.key}`].value = fw.scores[m.key]; });
+        ['bestUseCases', 'pros', 'cons'].forEach(key => { form.elements[key].value = (fw[key] || []).join('\n'); });
+        form.elements.tags.value = (fw.tags || []).join(', ');
+    } else {
+        METRICS.forEach(m => { form.elements[`score-${m.key}`].value = 50; });
+    }
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const result = readFrameworkForm(form, fw);
+        const errorEl = body.querySelector('#fwFormError');
+        if (result.error) {
+            errorEl.textContent = result.error;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        saveCustomFramework(result.framework, Boolean(fw));
+    });
+    body.querySelector('#fwFormCancel').addEventListener('click', () => (fw ? openModal(fw.id) : closeModal()));
+
+    showModal(form.elements.name);
+}
+
+/**
+ * Validate the form and build a framework object.
+ * Returns { framework } or { error }.
+ */
+function readFrameworkForm(form, existing) {
+    const text = name => form.elements[name].value.trim();
+    const lines = name => text(name).split('\n').map(l => l.trim()).filter(Boolean);
+
+    const name = text('name');
+    if (!name) return { error: t('form.error.name') };
+    const language = text('language');
+    if (!language) return { error: t('form.error.language') };
+    const type = text('type');
+    if (!FRAMEWORK_TYPES.includes(type)) return { error: t('form.error.type', { types: FRAMEWORK_TYPES.join(' / ') }) };
+
+    const nameTaken = ALL_FRAMEWORKS.some(fw =>
+        fw.name.toLowerCase() === name.toLowerCase() && fw.id !== existing?.id);
+    if (nameTaken) return { error: t('form.error.nameTaken', { name }) };
+
+    const scores = {};
+    for (const m of METRICS) {
+        const raw = text(`score-${m.key}`);
+        const value = Number(raw);
+        if (raw === '' || !Number.isInteger(value) || value < 0 || value > 100) {
+            return { error: t('form.error.score', { metric: m.label }) };
+        }
+        scores[m.key] = value;
+    }
+
+    const yearRaw = text('year');
+    const year = yearRaw ? Number(yearRaw) : new Date().getFullYear();
+    if (!Number.isInteger(year) || year < 1970 || year > 2100) return { error: t('form.error.year') };
+
+    const color = text('color');
+    const framework = {
+        id: existing?.id || makeFrameworkId(name),
+        name,
+        type,
+        icon: text('icon') || 'fas fa-cube',
+        color: /^#[0-9a-f]{6}$/i.test(color) ? color : '#8b5cf6',
+        tagline: text('tagline') || `${type} framework`,
+        creator: text('creator') || 'Unknown',
+        year,
+        language,
+        scores,
+        bestUseCases: lines('bestUseCases'),
+        pros: lines('pros'),
+        cons: lines('cons'),
+        tags: [...new Set(text('tags').split(',')
+            .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+            .filter(Boolean))],
+        // The form edits the base text and current scores only; keep the rest
+        history: existing?.history || [],
+        translations: existing?.translations || {},
+    };
+
+    // Same schema as every other source — catches anything the checks above miss
+    const { frameworks, issues } = validateFrameworks([framework]);
+    if (!frameworks.length) return { error: issues.map(formatDataIssue).join('; ') };
+    return { framework: frameworks[0] };
+}
+
+/**
+ * URL-safe id from the name, unique across the whole dataset.
+ */
+function makeFrameworkId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'framework';
+    const taken = new Set(ALL_FRAMEWORKS.map(fw => fw.id));
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+function saveCustomFramework(framework, isEdit) {
+    if (isEdit) customFrameworks = customFrameworks.map(fw => (fw.id === framework.id ? framework : fw));
+    else customFrameworks.push(framework);
+    saveCustomFrameworks();
+    refreshFrameworkViews();
+    openModal(framework.id);
+    showToast(t(isEdit ? 'form.updated' : 'form.added', { name: framework.name }), 'success');
+}
+
+function deleteCustomFramework(id) {
+    const fw = customFrameworks.find(f => f.id === id);
+    if (!fw || !confirm(t('form.confirmDelete', { name: fw.name }))) return;
+
+    customFrameworks = customFrameworks.filter(f => f.id !== id);
+    saveCustomFrameworks();
+    closeModal();
+    refreshFrameworkViews();
+    showToast(t('form.deleted', { name: fw.name }), 'info');
+}
+
+/**
+ * Re-merge the dataset and refresh every view that depends on it.
+ */
+function refreshFrameworkViews() {
+    rebuildFrameworkList();
+    // Drop selections that no longer exist (dataset switch / delete)
+    selectedIds.forEach(id => { if (!ALL_FRAMEWORKS.some(fw => fw.id === id)) selectedIds.delete(id); });
+    populateFilterOptions();
+    renderFrameworkCards();
+    refreshWeightsPanel();
+    renderSavedComparisons();
+
+    if (!document.getElementById('dashboard').classList.contains('hidden')) {
+        if (selectedIds.size >= 2) renderDashboard();
+        else showSelectionSection();
+    }
+    rerankLive();
+}
+
+/* ==========================================
+   ALTERNATIVE DATASETS
+   Team-specific framework lists loaded from a
+   local JSON file. Each one either replaces
+   or merges with the built-in frameworks.json
+   and is remembered in localStorage.
+   ========================================== */
+const DATASETS_KEY = 'ffDatasets';
+const ACTIVE_DATASET_KEY = 'ffActiveDataset';
+const DEFAULT_DATASET_ID = 'default';
+
+let savedDatasets = loadSavedDatasets();   // [{ id, name, mode, frameworks }]
+let activeDatasetId = localStorage.getItem(ACTIVE_DATASET_KEY) || DEFAULT_DATASET_ID;
+
+function loadSavedDatasets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DATASETS_KEY));
+        if (Array.isArray(saved)) {
+            // Stored copies can be stale or hand-edited: check them again and
+            // drop a dataset with nothing usable left rather than offer it.
+            // loadFrameworks() reports new issues alongside the import's own.
+            return saved
+                .filter(ds => ds && ds.id && Array.isArray(ds.frameworks))
+                .map(ds => {
+                    const { frameworks, issues } = validateFrameworks(ds.frameworks);
+                    return { ...ds, frameworks, issues: [...(Array.isArray(ds.issues) ? ds.issues : []), ...issues] };
+                })
+                .filter(ds => ds.frameworks.length > 0);
+        }
+    } catch (e) {
+        console.warn('Ignoring unreadable saved datasets.', e);
+    }
+    return [];
+}
+
+function saveDatasets() {
+    try {
+        if (savedDatasets.length) localStorage.setItem(DATASETS_KEY, JSON.stringify(savedDatasets));
+        else localStorage.removeItem(DATASETS_KEY);
+        localStorage.setItem(ACTIVE_DATASET_KEY, activeDatasetId);
+    } catch (e) {
+        // Quota exceeded — the dataset still works for this session
+        console.warn('Could not persist datasets.', e);
+        showToast(t('dataset.tooLarge'), 'warning');
+    }
+}
+
+function getActiveDataset() {
+    return savedDatasets.find(ds => ds.id === activeDatasetId) || null;
+}
+
+/**
+ * Framework list for the active dataset (before custom entries).
+ * Merge mode: dataset entries override built-ins with the same id.
+ */
+function getDatasetFrameworks() {
+    const ds = getActiveDataset();
+    if (!ds) return DEFAULT_FRAMEWORKS;
+    if (ds.mode === 'replace') return ds.frameworks;
+
+    const overrides = new Map(ds.frameworks.map(fw => [fw.id, fw]));
+    const merged = DEFAULT_FRAMEWORKS.map(fw => overrides.get(fw.id) || fw);
+    const builtInIds = new Set(DEFAULT_FRAMEWORKS.map(fw => fw.id));
+    return [...merged, ...ds.frameworks.filter(fw => !builtInIds.has(fw.id))];
+}
+
+function initDatasetControls() {
+    const fileInput = document.getElementById('datasetFile');
+    if (!fileInput) return;
+
+    document.getElementById('loadDatasetBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';   // allow re-selecting the same file
+        if (file) await importDatasetFile(file, document.getElementById('datasetMode').value);
+    });
+
+    document.getElementById('datasetSwitcher').addEventListener('change', e => switchDataset(e.target.value));
+    document.getElementById('revertDataset').addEventListener('click', () => switchDataset(DEFAULT_DATASET_ID));
+    document.getElementById('removeDataset').addEventListener('click', removeActiveDataset);
+}
+
+async function importDatasetFile(file, mode) {
+    let json;
+    try {
+        json = JSON.parse(await file.text());
+    } catch (e) {
+        showToast(t('dataset.invalidJson', { file: file.name }), 'error');
+        return;
+    }
+
+    const list = Array.isArray(json) ? json : json?.frameworks;
+    if (!Array.isArray(list)) {
+        showToast(t('dataset.expectedArray'), 'error');
+        return;
+    }
+
+    const { frameworks, issues } = validateFrameworks(list);
+    if (!frameworks.length) {
+        const first = issues[0] ? formatDataIssue(issues[0]) : t('dataset.empty');
+        showToast(t('dataset.noValid', { file: file.name, problem: first }), 'error');
+        return;
+    }
 
-    // Helper: row factory (adds data-label to each fw cell)
-    const makeRow = (labelHTML, cellsFn) =>
-        `<tr>
-  <td class="table-row-label">${labelHTML}</td>
-  ${frameworks.map((fw, i) => `<td data-label="${fw.name}">${cellsFn(fw, i)}</td>`).join('')}
-</tr>`;
+    const name = (typeof json.name === 'string' && json.name.trim()) || file.name.replace(/\.json$/i, '');
+    const dataset = {
+        id: `ds-${Date.now().toString(36)}-${savedDatasets.length}`,
+        name,
+        mode: mode === 'replace' ? 'replace' : 'merge',
+        frameworks,
+        issues,   // kept so the health notice survives a reload
+    };
+    savedDatasets.push(dataset);
+    reportDataIssues(dataset.id, t('dataset.source', { name }), issues);
+    switchDataset(dataset.id, { silent: true });
 
-    // Header row
-    let html = `<thead><tr>
-  <th></th>
-  ${frameworks.map(fw => `<th class="table-fw-header" style="color:${fw.color}">
-    <i class="${fw.icon} mr-1"></i>${fw.name}
-  </th>`).join('')}
-</tr></thead><tbody>`;
+    const loaded = t(dataset.mode === 'replace' ? 'dataset.loadedReplaced' : 'dataset.loadedMerged',
+        { name, frameworks: tn('common.frameworks', frameworks.length) });
+    showToast(`${loaded}${issues.length ? t('dataset.seeHealth') : ''}`, issues.length ? 'warning' : 'success');
+}
 
-    html += makeRow('<strong>Type</strong>', fw => fw.type);
-    html += makeRow('<strong>Language</strong>', fw => fw.language);
-    html += makeRow('<strong>Creator</strong>', fw => fw.creator);
-    html += makeRow('<strong>Year</strong>', fw => fw.year);
+function switchDataset(id, { silent = false } = {}) {
+    activeDatasetId = savedDatasets.some(ds => ds.id === id) ? id : DEFAULT_DATASET_ID;
+    saveDatasets();
+    renderDatasetSwitcher();
+    renderDataHealthNotice();
+    refreshFrameworkViews();
+    if (!silent) {
+        const ds = getActiveDataset();
+        showToast(ds ? t('dataset.switched', { name: ds.name }) : t('dataset.backToDefault'), 'info');
+    }
+}
 
-    // Score rows
-    METRICS.forEach(metric => {
-        html += makeRow(
-            `<i class="fas ${metric.icon} mr-1 opacity-60"></i><strong>${metric.label}</strong>`,
-            fw => {
-                const score = fw.scores[metric.key];
-                const cls = score >= 80 ? 'score-high' : score >= 60 ? 'score-mid' : 'score-low';
-                return `<span class="score-pill ${cls}">${score}/100</span>`;
-            }
-        );
-    });
+function removeActiveDataset() {
+    const ds = getActiveDataset();
+    if (!ds || !confirm(t('dataset.confirmRemove', { name: ds.name }))) return;
+    savedDatasets = savedDatasets.filter(d => d.id !== ds.id);
+    dataHealth.delete(ds.id);
+    switchDataset(DEFAULT_DATASET_ID, { silent: true });
+    showToast(t('dataset.removed', { name: ds.name }), 'info');
+}
 
-    // Avg score row
-    html += makeRow('<strong>⭐ Avg Score</strong>', fw => {
-        const avg = calcAvgScore(fw);
-        const cls = avg >= 80 ? 'score-high' : avg >= 60 ? 'score-mid' : 'score-low';
-        return `<span class="score-pill ${cls}">${avg}/100</span>`;
-    });
+function renderDatasetSwitcher() {
+    const select = document.getElementById('datasetSwitcher');
+    if (!select) return;
+    const active = getActiveDataset();
 
-    html += '</tbody>';
-    table.innerHTML = html;
+    select.innerHTML = html`<option value="${DEFAULT_DATASET_ID}">${t('dataset.default')}</option>
+        ${savedDatasets.map(ds => html`<option value="${ds.id}">${t(ds.mode === 'replace' ? 'dataset.optionReplacing' : 'dataset.optionMerged',
+            { name: ds.name, count: ds.frameworks.length })}</option>`)}`;
+    select.value = active ? active.id : DEFAULT_DATASET_ID;
+
+    document.getElementById('revertDataset').classList.toggle('hidden', !active);
+    document.getElementById('removeDataset').classList.toggle('hidden', !active);
+    document.getElementById('datasetBar').classList.toggle('dataset-bar--custom', Boolean(active));
 }
 
 /* ==========================================
-   SMART RECOMMENDATION ENGINE
-   Rule-based scoring system:
-   Weights each framework based on user answers.
+   RECOMMENDATION RULES (data-driven)
+   Loaded from recommendation-rules.json so the
+   dataset maintainers can tune the engine —
+   and the questionnaire that feeds it —
+   without touching JavaScript.
    ========================================== */
-function initRecommendationForm() {
-    const NAMES = ['experience', 'scale', 'priority', 'type'];
+let RECOMMENDATION_RULES = [];   // Validated rules (loaded from JSON)
+let PAIRING_AFFINITIES = [];     // Validated fullstack pairing affinities
 
-    function updateProgress() {
-        const answered = NAMES.filter(n =>
-            document.querySelector(`input[name="${n}"]:checked`)
-        ).length;
-        const countEl = document.getElementById('answeredCount');
-        const fillEl = document.getElementById('answeredFill');
-        if (countEl) countEl.textContent = answered;
-        if (fillEl) fillEl.style.width = (answered / 4 * 100) + '%';
+/**
+ * Fetch recommendation-rules.json (cached for offline use like frameworks.json).
+ * Resolves to false when the rules could not be loaded.
+ */
+async function loadRecommendationRules() {
+    try {
+        const res = await fetch('recommendation-rules.json');
+        if (!res.ok) throw new Error('HTTP error');
+        const def = await res.json();
+        ({ questions: QUIZ_QUESTIONS, rules: RECOMMENDATION_RULES, affinities: PAIRING_AFFINITIES } = FrameworkEngine.validateRulesFile(def));
+        return true;
+    } catch (e) {
+        console.warn('Could not load recommendation-rules.json.', e);
+        QUIZ_QUESTIONS = [];
+        RECOMMENDATION_RULES = [];
+        PAIRING_AFFINITIES = [];
+        return false;
+    } finally {
+        renderQuestionnaire();
     }
-
-    // Make radio pill selection work (since we're using hidden inputs)
-    document.querySelectorAll('.radio-option').forEach(option => {
-        option.addEventListener('click', () => {
-            const input = option.querySelector('input[type="radio"]');
-            if (!input) return;
-            // Deselect siblings in the same group
-            document.querySelectorAll(`input[name="${input.name}"]`)
-                .forEach(i => i.closest('.radio-option').classList.remove('checked'));
-            // Select this option
-            option.classList.add('checked');
-            input.checked = true;
-            updateProgress();
-        });
-    });
-
-    document.getElementById('generateRecommendation').addEventListener('click', generateRecommendation);
 }
 
-function generateRecommendation() {
-    /* Read user answers */
-    const experience = document.querySelector('input[name="experience"]:checked')?.value;
-    const scale = document.querySelector('input[name="scale"]:checked')?.value;
-    const priority = document.querySelector('input[name="priority"]:checked')?.value;
-    const type = document.querySelector('input[name="type"]:checked')?.value;
+const { whenMatches } = FrameworkEngine;
 
-    if (!experience || !scale || !priority || !type) {
-        showToast('Please answer all questions to get a recommendation.', 'warning');
-        return;
-    }
+/** Rule terms for a set of answers (see engine.js buildRuleTerms). */
+function buildRuleTerms(answers) {
+    return FrameworkEngine.buildRuleTerms(RECOMMENDATION_RULES, answers, localizeEntry);
+}
 
-    /* Score each framework based on rules */
-    const scored = ALL_FRAMEWORKS.map(fw => ({
-        fw,
-        score: computeRecommendationScore(fw, { experience, scale, priority, type }),
-    })).sort((a, b) => b.score - a.score);
+/** Every tag group any rule can award ('a|b' = any of a or b). */
+function getRuleTagGroups() {
+    return FrameworkEngine.getRuleTagGroups(RECOMMENDATION_RULES);
+}
 
-    const winner = scored[0].fw;
-    const runners = scored.slice(1, 3).map(s => s.fw);
-    const explanation = buildExplanation(winner, { experience, scale, priority, type });
+/* ==========================================
+   RECOMMENDATION WEIGHTS (Advanced panel)
+   The active rules are expressed as a set of
+   weights derived from the answers. Users can
+   override them; custom weights persist in
+   localStorage under 'ffWeights'.
+   ========================================== */
+let customWeights = loadCustomWeights();   // null → rules file
+
+const WEIGHT_RANGES = {
+    metric: { min: 0, max: 1.5, step: 0.05 },
+    tag: { min: -30, max: 60, step: 1 },
+    typeMatch: { min: 0, max: 80, step: 1 },
+    typeMismatch: { min: -60, max: 0, step: 1 },
+    momentum: { min: 0, max: 2, step: 0.1 },
+};
 
-    displayRecommendation(winner, runners, explanation, { experience, scale, priority, type });
+/**
+ * Terms actually used for scoring: the user's custom weights if set,
+ * otherwise the rules file. Custom weights cover metrics, tags, momentum and
+ * the frontend/backend type match; language and fullstack bonuses always come
+ * from the rules.
+ */
+function getScoringTerms(answers) {
+    if (!customWeights) return buildRuleTerms(answers);
+    const rule = t('weights.rule');
+    const terms = [
+        ...METRICS.map(m => ({ rule, metric: m.key, factor: customWeights.metrics[m.key] || 0 })),
+        ...Object.entries(customWeights.tags).map(([group, points]) => ({ rule, tags: group.split('|'), points })),
+        { rule, momentum: customWeights.momentum || 0 },
+        ...buildRuleTerms(answers).filter(term => term.language),
+    ];
+    if (answers.type === 'frontend' || answers.type === 'backend') {
+        const fwTypes = [...new Set(ALL_FRAMEWORKS.map(fw => fw.type))];
+        fwTypes.forEach(fwType => terms.push({
+            rule,
+            fwType,
+            points: fwType.toLowerCase() === answers.type ? customWeights.typeMatch : customWeights.typeMismatch,
+        }));
+    } else {
+        terms.push(...buildRuleTerms(answers).filter(term => term.fwType || term.ids));
+    }
+    return terms;
 }
 
 /**
- * Rule-based scoring function.
- * Returns a numeric score for a framework given user preferences.
+ * Collapse the rule terms into one weight per metric / tag group
+ * (what the Advanced panel's sliders show).
  */
-function computeRecommendationScore(fw, { experience, scale, priority, type }) {
-    let score = 0;
-    const s = fw.scores;
-    const tags = fw.tags || [];
+function deriveWeights(answers) {
+    const w = {
+        metrics: Object.fromEntries(METRICS.map(m => [m.key, 0])),
+        tags: Object.fromEntries(getRuleTagGroups().map(g => [g, 0])),
+        typeMatch: 0,
+        typeMismatch: 0,
+        momentum: 0,
+    };
+    buildRuleTerms(answers).forEach(term => {
+        // Round so summed coefficients don't pick up float noise (0.1 + 0.2…)
+        if (term.metric) w.metrics[term.metric] = Math.round((w.metrics[term.metric] + term.factor) * 100) / 100;
+        else if (term.tags) w.tags[term.tags.join('|')] += term.points;
+        else if (term.momentum) w.momentum = Math.round((w.momentum + term.momentum) * 100) / 100;
+    });
 
-    /* --- Experience Level Rules --- */
-    if (experience === 'beginner') {
-        score += s.learningCurve * 0.5;    // Prioritise ease of learning
-        if (tags.includes('beginner-friendly')) score += 30;
-    } else if (experience === 'intermediate') {
-        score += s.learningCurve * 0.2;
-        score += s.performance * 0.3;
-        if (tags.includes('fast-development')) score += 15;
-    } else { // advanced
-        score += s.performance * 0.35;
-        score += s.scalability * 0.25;
-        if (tags.includes('enterprise') || tags.includes('large-scale')) score += 20;
-    }
+    // Type match/mismatch come from the frontend or backend rule
+    // (frontend stands in while the question is unanswered or fullstack)
+    const sideAnswer = answers.type === 'backend' ? 'backend' : 'frontend';
+    buildRuleTerms({ type: sideAnswer }).filter(term => term.fwType).forEach(term => {
+        if (term.fwType.toLowerCase() === sideAnswer) w.typeMatch += term.points;
+        else w.typeMismatch = Math.min(w.typeMismatch, term.points);
+    });
+    return w;
+}
 
-    /* --- Project Scale Rules --- */
-    if (scale === 'small') {
-        score += s.learningCurve * 0.2;
-        if (tags.includes('lightweight') || tags.includes('fast-development')) score += 15;
-    } else if (scale === 'medium') {
-        score += s.performance * 0.2;
-        score += s.communitySupport * 0.15;
-    } else { // large
-        score += s.scalability * 0.4;
-        score += s.communitySupport * 0.2;
-        if (tags.includes('enterprise') || tags.includes('scalable')) score += 25;
-    }
+function getActiveWeights(answers) {
+    return customWeights || deriveWeights(answers);
+}
 
-    /* --- Priority Rules --- */
-    if (priority === 'speed') {
-        score += s.learningCurve * 0.3;
-        if (tags.includes('fast-development')) score += 20;
-    } else if (priority === 'performance') {
-        score += s.performance * 0.4;
-        if (tags.includes('high-performance')) score += 20;
-    } else { // jobs
-        score += s.jobDemand * 0.5;
-        if (tags.includes('high-demand')) score += 20;
+function loadCustomWeights() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('ffWeights'));
+        if (saved && saved.metrics && saved.tags && typeof saved.typeMatch === 'number') return saved;
+    } catch (e) {
+        console.warn('Ignoring unreadable custom weights.', e);
     }
+    return null;
+}
 
-    /* --- Project Type Rules --- */
-    if (type === 'frontend') {
-        if (fw.type === 'Frontend') score += 40;
-        if (fw.type === 'Backend') score -= 20;
-    } else if (type === 'backend') {
-        if (fw.type === 'Backend') score += 40;
-        if (fw.type === 'Frontend') score -= 20;
-    } else { // fullstack
-        // Prefer popular combos — both types get boost
-        if (fw.id === 'react' || fw.id === 'express') score += 25;
-        if (fw.id === 'vue' || fw.id === 'django') score += 20;
-        if (fw.id === 'angular' || fw.id === 'laravel') score += 15;
-    }
+function saveCustomWeights() {
+    if (customWeights) localStorage.setItem('ffWeights', JSON.stringify(customWeights));
+    else localStorage.removeItem('ffWeights');
+}
 
-    /* Baseline community score */
-    score += s.communitySupport * 0.05;
+function initWeightsPanel() {
+    const container = document.getElementById('weightsSliders');
+    if (!container) return;
+
+    container.addEventListener('input', e => {
+        const slider = e.target.closest('input[type="range"]');
+        if (!slider) return;
+        // First touch snapshots the answer-derived weights into a custom set
+        if (!customWeights) customWeights = deriveWeights(readQuizAnswers());
+
+        const value = Number(slider.value);
+        const { kind, key } = slider.dataset;
+        if (kind === 'metric') customWeights.metrics[key] = value;
+        else if (kind === 'tag') customWeights.tags[key] = value;
+        else customWeights[kind] = value;
+
+        slider.closest('.weight-row').querySelector('.weight-value').textContent = formatWeight(kind, value);
+        saveCustomWeights();
+        updateWeightsStatus();
+        rerankLive();
+    });
+
+    document.getElementById('resetWeights').addEventListener('click', () => {
+        customWeights = null;
+        saveCustomWeights();
+        refreshWeightsPanel();
+        rerankLive();
+        showToast(t('weights.resetDone'), 'info');
+    });
 
-    return Math.round(score);
+    refreshWeightsPanel();
 }
 
 /**
- * Build a human-readable explanation string for the recommendation.
+ * Rebuild the sliders from the active weights (and the dataset's tags).
  */
-function buildExplanation(fw, { experience, scale, priority, type }) {
-    const levelMap = { beginner: 'a beginner', intermediate: 'an intermediate developer', advanced: 'an advanced developer' };
-    const scaleMap = { small: 'a small personal project', medium: 'a medium-scale startup project', large: 'a large enterprise application' };
-    const priorityMap = { speed: 'fast development speed', performance: 'high performance', jobs: 'strong job market opportunities' };
-    const typeMap = { frontend: 'frontend UI', backend: 'backend API', fullstack: 'a fullstack' };
+function refreshWeightsPanel() {
+    const container = document.getElementById('weightsSliders');
+    if (!container) return;
+    const w = getActiveWeights(readQuizAnswers());
+
+    // Any dataset tag without its own slider yet gets one (default 0)
+    const tagGroups = [...new Set([
+        ...getRuleTagGroups(),
+        ...Object.keys(w.tags),
+        ...ALL_FRAMEWORKS.flatMap(fw => fw.tags || []),
+    ])];
+
+    const row = (kind, key, label, value) => {
+        const r = WEIGHT_RANGES[kind] || WEIGHT_RANGES[key];
+        return html`
+        <label class="weight-row">
+          <span class="weight-label">${label}</span>
+          <input type="range" min="${r.min}" max="${r.max}" step="${r.step}" value="${value}"
+                 data-kind="${kind === 'metric' || kind === 'tag' ? kind : key}" data-key="${key}" />
+          <span class="weight-value">${formatWeight(kind, value)}</span>
+        </label>`;
+    };
+
+    container.innerHTML = html`
+      <div class="weights-group">
+        <div class="modal-section-title">${t('weights.metrics')}</div>
+        ${METRICS.map(m => row('metric', m.key, m.label, w.metrics[m.key] || 0))}
+      </div>
+      <div class="weights-group">
+        <div class="modal-section-title">${t('weights.tags')}</div>
+        ${tagGroups.map(g => row('tag', g, g.split('|').map(formatTag).join(t('weights.or')), w.tags[g] || 0))}
+      </div>
+      <div class="weights-group">
+        <div class="modal-section-title">${t('weights.projectType')}</div>
+        ${row('typeMatch', 'typeMatch', t('weights.typeMatch'), w.typeMatch)}
+        ${row('typeMismatch', 'typeMismatch', t('weights.typeMismatch'), w.typeMismatch)}
+      </div>
+      <div class="weights-group">
+        <div class="modal-section-title">${t('weights.trends')}</div>
+        ${row('momentum', 'momentum', t('weights.momentum'), w.momentum || 0)}
+      </div>
+    `;
+    updateWeightsStatus();
+}
 
-    return `As ${levelMap[experience]} building ${typeMap[type]} for ${scaleMap[scale]} 
-  with a focus on <strong>${priorityMap[priority]}</strong>, 
-  <strong>${fw.name}</strong> scores highest across all your preferences. 
-  It offers an excellent balance of ${fw.scores.learningCurve >= 75 ? 'easy learning curve' : 'powerful capabilities'}, 
-  ${fw.scores.jobDemand >= 85 ? 'strong industry demand' : 'solid community support'}, 
-  and ${fw.scores.scalability >= 85 ? 'enterprise-grade scalability' : 'reliable performance'}.`;
+function updateWeightsStatus() {
+    const status = document.getElementById('weightsStatus');
+    if (!status) return;
+    status.textContent = t(customWeights ? 'weights.statusCustom' : 'weights.statusDefault');
+    status.classList.toggle('custom', Boolean(customWeights));
+    document.getElementById('resetWeights').disabled = !customWeights;
+}
+
+function formatWeight(kind, value) {
+    if (kind === 'metric') return `×${Number(value).toFixed(2)}`;
+    if (kind === 'momentum') return `×${Number(value).toFixed(1)}`;
+    return value > 0 ? `+${value}` : `${value}`;
 }
 
 /**
- * Render the recommendation result card.
+ * Re-run the recommendation in place if a result is already on screen.
  */
-function displayRecommendation(winner, runners, explanation, prefs) {
+function rerankLive() {
     const resultEl = document.getElementById('recommendResult');
-    const color = winner.color;
+    if (resultEl.classList.contains('hidden') || getMissingAnswers().length) return;
+    generateRecommendation({ scroll: false });
+}
 
-    /* Build reason chips from matching tags */
-    const reasonChips = buildReasonChips(winner, prefs);
+/* ==========================================
+   SAVED COMPARISONS & RECOMMENDATION HISTORY
+   Named selections and past quiz results,
+   kept in localStorage so they survive a
+   reload. History entries can be re-run
+   against the current dataset.
+   ========================================== */
+const SAVED_COMPARISONS_KEY = 'ffSavedComparisons';
+const REC_HISTORY_KEY = 'ffRecHistory';
+const REC_HISTORY_LIMIT = 20;
 
-    resultEl.innerHTML = `
-    <div class="result-card">
-      <!-- Winner badge -->
-      <div class="winner-badge">
-        <i class="fas fa-trophy"></i> Best Match For You
-      </div>
+let savedComparisons = loadStoredList(SAVED_COMPARISONS_KEY,
+    c => typeof c.name === 'string' && Array.isArray(c.ids));          // [{ id, name, ids, savedAt }]
+let recHistory = loadStoredList(REC_HISTORY_KEY,
+    h => h.answers && Array.isArray(h.winner) && Array.isArray(h.runnersUp)); // [{ id, at, answers, winner, runnersUp }]
+const historyChecks = new Map();   // history id → { winner, changed } from the last re-run
 
-      <!-- Winner name + icon -->
-      <div class="flex items-center gap-4 mb-4">
-        <div class="score-fw-icon w-16 h-16 rounded-2xl" style="background:${color}22; color:${color}; width:64px; height:64px; display:flex; align-items:center; justify-content:center; font-size:1.75rem; border-radius:16px;">
-          <i class="${winner.icon}"></i>
-        </div>
-        <div>
-          <div class="result-framework-name">${winner.name}</div>
-          <div style="color: var(--text-muted); font-size:0.85rem;">${winner.tagline}</div>
-        </div>
-      </div>
+function loadStoredList(key, isValid) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        if (Array.isArray(saved)) return saved.filter(item => item && item.id && isValid(item));
+    } catch (e) {
+        console.warn(`Ignoring unreadable ${key}.`, e);
+    }
+    return [];
+}
 
-      <!-- Explanation -->
-      <p class="result-explanation">${explanation}</p>
+function storeList(key, list) {
+    try {
+        if (list.length) localStorage.setItem(key, JSON.stringify(list));
+        else localStorage.removeItem(key);
+    } catch (e) {
+        console.warn(`Could not persist ${key}.`, e);
+    }
+}
 
-      <!-- Reason Chips -->
-      <div class="reason-chips mb-6">${reasonChips}</div>
+function initSavedViews() {
+    document.querySelectorAll('.save-comparison-btn').forEach(btn => btn.addEventListener('click', saveCurrentComparison));
+    document.getElementById('clearRecHistory')?.addEventListener('click', clearRecHistory);
+    renderSavedComparisons();
+    renderRecHistory();
+}
 
-      <!-- Score grid -->
-      <div class="modal-score-grid">
-        ${METRICS.map(m => `
-          <div class="modal-score-box">
-            <div class="modal-score-val">${winner.scores[m.key]}</div>
-            <div class="modal-score-key">${m.label}</div>
-          </div>
-        `).join('')}
-      </div>
+/**
+ * A pick is a list of { id, name } (two entries for a stack). Names are
+ * stored so an entry still reads well once its framework is gone.
+ */
+function toPick(...frameworks) {
+    return frameworks.map(fw => ({ id: fw.id, name: fw.name }));
+}
 
-      <!-- Runner-ups -->
-      <div class="mt-6">
-        <div class="modal-section-title">Also consider</div>
-        <div class="runner-up-grid">
-          ${runners.map(fw => `
-            <div class="runner-card">
-              <strong>${fw.name}</strong><br/>
-              <span>${fw.type} · ${fw.language}</span>
-            </div>
-          `).join('')}
-        </div>
-      </div>
+function formatPick(pick) {
+    return pick.map(p => ALL_FRAMEWORKS.find(fw => fw.id === p.id)?.name || p.name).join(' + ');
+}
 
-      <!-- View detail button -->
-      <div class="mt-6 flex gap-3">
-        <button onclick="openModal('${winner.id}')" class="btn-primary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
-          <i class="fas fa-info-circle"></i> Learn More About ${winner.name}
-        </button>
-        <button onclick="preselectAndCompare('${winner.id}')" class="btn-secondary flex items-center gap-2 px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200">
-          <i class="fas fa-balance-scale"></i> Compare ${winner.name}
-        </button>
-      </div>
-    </div>
-  `;
+function samePick(a, b) {
+    return a.length === b.length && a.every((p, i) => p.id === b[i].id);
+}
 
-    resultEl.classList.remove('hidden');
-    resultEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+function sameAnswers(a, b) {
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])].every(key => (a[key] || null) === (b[key] || null));
 }
 
-function buildReasonChips(fw, { experience, scale, priority, type }) {
-    const chips = [];
-    if (experience === 'beginner' && fw.scores.learningCurve >= 75) chips.push('Beginner Friendly');
-    if (experience === 'advanced' && fw.scores.scalability >= 85) chips.push('Enterprise Grade');
-    if (scale === 'large' && fw.scores.scalability >= 85) chips.push('Highly Scalable');
-    if (priority === 'performance' && fw.scores.performance >= 85) chips.push('High Performance');
-    if (priority === 'jobs' && fw.scores.jobDemand >= 85) chips.push('Strong Job Market');
-    if (fw.scores.communitySupport >= 85) chips.push('Great Community');
-    if (type === 'frontend' && fw.type === 'Frontend') chips.push('Frontend Native');
-    if (type === 'backend' && fw.type === 'Backend') chips.push('Backend Native');
-    return chips.map(c => `<span class="reason-chip">${c}</span>`).join('');
+/** Winner and two runners-up of a ranking, each as a list of picks (two for a stack). */
+function summarizeRanking({ scored, pairs }) {
+    if (pairs) {
+        const [best, ...rest] = pairs.map(p => toPick(p.front.fw, p.back.fw));
+        return { winner: best, runnersUp: rest.slice(0, 2) };
+    }
+    if (!scored.length) return null;
+    const [best, ...rest] = scored.map(s => toPick(s.fw));
+    return { winner: best, runnersUp: rest.slice(0, 2) };
 }
 
-/**
- * Pre-select a framework and scroll to comparison section.
- */
-function preselectAndCompare(id) {
-    if (!selectedIds.has(id)) {
-        selectedIds.add(id);
-        updateSelectionUI();
+/* --- Saved comparisons --- */
+function saveCurrentComparison() {
+    const selected = ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id));
+    if (selected.length < 2) {
+        showToast(t('selection.needTwo'), 'warning');
+        return;
     }
-    document.getElementById('compare').scrollIntoView({ behavior: 'smooth' });
-    showToast(`${id} pre-selected. Pick more frameworks to compare!`, 'info');
+    const suggested = selected.map(fw => fw.name).join(' vs ');
+    const name = prompt(t('saved.namePrompt'), suggested);
+    if (name === null) return;
+
+    savedComparisons.unshift({
+        id: `cmp-${Date.now().toString(36)}-${savedComparisons.length}`,
+        name: name.trim() || suggested,
+        ids: selected.map(fw => fw.id),
+        savedAt: new Date().toISOString(),
+    });
+    storeList(SAVED_COMPARISONS_KEY, savedComparisons);
+    renderSavedComparisons();
+    showToast(t('saved.saved', { name: savedComparisons[0].name }), 'success');
 }
 
-/* ==========================================
-   FRAMEWORK DETAIL MODAL
-   ========================================== */
-function openModal(id, event) {
-    if (event) event.stopPropagation();
-    const fw = ALL_FRAMEWORKS.find(f => f.id === id);
-    if (!fw) return;
+/** Restore a saved selection (minus frameworks missing from the current dataset) and open the dashboard. */
+function openSavedComparison(id) {
+    const saved = savedComparisons.find(c => c.id === id);
+    if (!saved) return;
+    const available = saved.ids.filter(fwId => ALL_FRAMEWORKS.some(fw => fw.id === fwId));
+    if (available.length < 2) {
+        showToast(t('saved.unavailable', { name: saved.name }), 'warning');
+        return;
+    }
 
-    const color = fw.color;
-    const modal = document.getElementById('detailModal');
-    const body = document.getElementById('modalBody');
+    selectedIds.clear();
+    available.forEach(fwId => selectedIds.add(fwId));
+    updateSelectionUI();
+    showComparisonDashboard();
+    const missing = saved.ids.length - available.length;
+    if (missing) showToast(tn('saved.missing', missing, { name: saved.name }), 'warning');
+}
 
-    body.innerHTML = `
-    <!-- Header -->
-    <div class="modal-header-icon" style="background:${color}22; color:${color}">
-      <i class="${fw.icon}"></i>
-    </div>
-    <div class="modal-fw-name">${fw.name}</div>
-    <p style="color:var(--text-muted); font-size:0.85rem; margin: 4px 0 4px 0">${fw.tagline}</p>
-    <div style="display:flex; gap:0.5rem; margin-bottom:1rem; flex-wrap:wrap;">
-      <span class="card-type-badge ${fw.type.toLowerCase()}" style="margin-bottom:0">${fw.type}</span>
-      <span style="font-size:0.75rem; color:var(--text-muted); display:flex; align-items:center; gap:4px">
-        <i class="fas fa-code"></i> ${fw.language}
-      </span>
-      <span style="font-size:0.75rem; color:var(--text-muted); display:flex; align-items:center; gap:4px">
-        <i class="fas fa-calendar"></i> Since ${fw.year}
-      </span>
-      <span style="font-size:0.75rem; color:var(--text-muted); display:flex; align-items:center; gap:4px">
-        <i class="fas fa-user"></i> ${fw.creator}
-      </span>
-    </div>
+function renameSavedComparison(id) {
+    const saved = savedComparisons.find(c => c.id === id);
+    if (!saved) return;
+    const name = prompt(t('saved.renamePrompt'), saved.name);
+    if (name === null || !name.trim()) return;
+    saved.name = name.trim();
+    storeList(SAVED_COMPARISONS_KEY, savedComparisons);
+    renderSavedComparisons();
+}
 
-    <!-- Scores -->
-    <div class="modal-section-title">📊 Scores</div>
-    <div class="modal-score-grid">
-      ${METRICS.map(m => `
-        <div class="modal-score-box">
-          <div class="modal-score-val">${fw.scores[m.key]}</div>
-          <div class="modal-score-key">${m.label}</div>
+function deleteSavedComparison(id) {
+    const saved = savedComparisons.find(c => c.id === id);
+    if (!saved || !confirm(t('saved.confirmDelete', { name: saved.name }))) return;
+    savedComparisons = savedComparisons.filter(c => c.id !== id);
+    storeList(SAVED_COMPARISONS_KEY, savedComparisons);
+    renderSavedComparisons();
+    showToast(t('saved.deleted', { name: saved.name }), 'info');
+}
+
+function renderSavedComparisons() {
+    const panel = document.getElementById('savedComparisons');
+    if (!panel) return;
+    panel.classList.toggle('hidden', savedComparisons.length === 0);
+
+    panel.querySelector('.saved-list').innerHTML = html`${savedComparisons.map(saved => {
+        const names = saved.ids.map(fwId => ALL_FRAMEWORKS.find(fw => fw.id === fwId)?.name || fwId);
+        const missing = saved.ids.filter(fwId => !ALL_FRAMEWORKS.some(fw => fw.id === fwId)).length;
+        return html`
+      <li class="saved-item">
+        <div class="saved-item-text">
+          <strong>${saved.name}</strong>
+          <span class="saved-item-meta">${names.join(', ')}${missing ? ` · ${tn('saved.unavailableCount', missing)}` : ''}</span>
         </div>
-      `).join('')}
-    </div>
+        <div class="saved-item-actions">
+          <button type="button" class="toolbar-reset" data-action="open-saved" data-id="${saved.id}">
+            <i class="fas fa-chart-bar mr-1"></i> ${t('saved.open')}
+          </button>
+          <button type="button" class="toolbar-reset" data-action="rename-saved" data-id="${saved.id}" aria-label="${t('saved.renameLabel', { name: saved.name })}">
+            <i class="fas fa-pen"></i>
+          </button>
+          <button type="button" class="toolbar-reset dataset-remove" data-action="delete-saved" data-id="${saved.id}" aria-label="${t('saved.deleteLabel', { name: saved.name })}">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </li>`;
+    })}`;
+}
 
-    <!-- Best Use Cases -->
-    <div class="modal-section-title">🎯 Best Use Cases</div>
-    <div style="display:flex; flex-wrap:wrap; gap:8px; margin-top:0.5rem">
-      ${fw.bestUseCases.map(u => `<span class="use-case-chip"><i class="fas fa-check-circle text-xs"></i>${u}</span>`).join('')}
-    </div>
+/* --- Recommendation history --- */
+function recordRecommendation(answers, ranking) {
+    const summary = summarizeRanking(ranking);
+    if (!summary) return;
 
-    <!-- Pros -->
-    <div class="modal-section-title">✅ Pros</div>
-    ${fw.pros.map(p => `
-      <div class="pro-item">
-        <i class="fas fa-circle-check pro-icon"></i>
-        <span>${p}</span>
-      </div>
-    `).join('')}
+    // Generating twice with the same answers and outcome only refreshes the timestamp
+    const latest = recHistory[0];
+    if (latest && sameAnswers(latest.answers, answers) && samePick(latest.winner, summary.winner)) {
+        recHistory.shift();
+    }
+    recHistory.unshift({
+        id: `rec-${Date.now().toString(36)}-${recHistory.length}`,
+        at: new Date().toISOString(),
+        answers: { ...answers },
+        ...summary,
+    });
+    recHistory = recHistory.slice(0, REC_HISTORY_LIMIT);
+    storeList(REC_HISTORY_KEY, recHistory);
+    renderRecHistory();
+}
 
-    <!-- Cons -->
-    <div class="modal-section-title">❌ Cons</div>
-    ${fw.cons.map(c => `
-      <div class="con-item">
-        <i class="fas fa-circle-xmark con-icon"></i>
-        <span>${c}</span>
-      </div>
-    `).join('')}
+/**
+ * Put a past entry's answers back into the quiz, show the result for the
+ * current dataset and weights, and flag whether the winner changed.
+ */
+function rerunRecommendation(id) {
+    const entry = recHistory.find(h => h.id === id);
+    if (!entry) return;
+    const summary = summarizeRanking(rankRecommendation(entry.answers));
+    if (!summary) {
+        showToast(t('history.noFrameworks'), 'warning');
+        return;
+    }
 
-    <!-- Action footer -->
-    <div style="margin-top:1.5rem; display:flex; gap:0.75rem; flex-wrap:wrap;">
-      <button onclick="toggleSelection('${fw.id}'); closeModal();" class="btn-primary flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all duration-200" style="display:flex">
-        <i class="fas fa-plus"></i> Add to Comparison
-      </button>
-    </div>
-  `;
+    // In question order, so conditional questions are shown before they're answered
+    clearQuizAnswers();
+    QUIZ_QUESTIONS.forEach(question => { if (entry.answers[question.id]) setQuizAnswer(question.id, entry.answers[question.id]); });
+    generateRecommendation();
+    const changed = !samePick(entry.winner, summary.winner);
+    historyChecks.set(id, { winner: summary.winner, changed });
+    renderRecHistory();
+    showToast(changed
+        ? t('history.changed', { was: formatPick(entry.winner), now: formatPick(summary.winner) })
+        : t('history.unchanged', { name: formatPick(summary.winner) }), changed ? 'warning' : 'success');
+}
 
-    // Use style.display directly — avoids ALL Tailwind class conflicts
-    modal.style.display = 'flex';
-    document.body.style.overflow = 'hidden';
+function deleteRecHistoryEntry(id) {
+    recHistory = recHistory.filter(h => h.id !== id);
+    historyChecks.delete(id);
+    storeList(REC_HISTORY_KEY, recHistory);
+    renderRecHistory();
 }
 
-function closeModal() {
-    const modal = document.getElementById('detailModal');
-    modal.style.display = 'none';
-    document.body.style.overflow = '';
+function clearRecHistory() {
+    if (!recHistory.length || !confirm(t('history.confirmClear'))) return;
+    recHistory = [];
+    historyChecks.clear();
+    storeList(REC_HISTORY_KEY, recHistory);
+    renderRecHistory();
+    showToast(t('history.cleared'), 'info');
 }
 
-function initModalClose() {
-    document.getElementById('closeModal').addEventListener('click', closeModal);
-    document.getElementById('modalBackdrop').addEventListener('click', closeModal);
-    // ESC key closes modal
-    document.addEventListener('keydown', e => {
-        if (e.key === 'Escape') closeModal();
+function renderRecHistory() {
+    const panel = document.getElementById('recHistory');
+    if (!panel) return;
+    panel.classList.toggle('hidden', recHistory.length === 0);
+
+    const when = new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' });
+    panel.querySelector('.saved-list').innerHTML = html`${recHistory.map(entry => {
+        const check = historyChecks.get(entry.id);
+        const answers = formatAnswers(entry.answers);
+        return html`
+      <li class="saved-item">
+        <div class="saved-item-text">
+          <strong><i class="fas fa-trophy mr-1 text-accent"></i>${formatPick(entry.winner)}</strong>
+          <span class="saved-item-meta">${answers}</span>
+          <span class="saved-item-meta">
+            <time datetime="${entry.at}">${when.format(new Date(entry.at))}</time>${entry.runnersUp.length ? ` · ${t('history.runnersUp', { names: entry.runnersUp.map(formatPick).join(', ') })}` : ''}
+          </span>
+          ${check && html`<span class="history-check ${check.changed ? 'history-check--changed' : 'history-check--same'}">
+            ${check.changed ? t('history.nowWinner', { name: formatPick(check.winner) }) : t('history.sameWinner')}
+          </span>`}
+        </div>
+        <div class="saved-item-actions">
+          <button type="button" class="toolbar-reset" data-action="rerun-history" data-id="${entry.id}">
+            <i class="fas fa-rotate-right mr-1"></i> ${t('history.rerun')}
+          </button>
+          <button type="button" class="toolbar-reset dataset-remove" data-action="delete-history" data-id="${entry.id}" aria-label="${t('history.deleteLabel')}">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </li>`;
+    })}`;
+}
+
+/* ==========================================
+   SHAREABLE DEEP LINKS
+   Selection, dashboard visibility and quiz
+   answers are mirrored into the query string:
+   ?compare=react,vue&view=dashboard&experience=…
+   ========================================== */
+let urlSyncEnabled = false;   // Off until the incoming link has been applied
+
+/**
+ * Rewrite the address bar from current state (no new history entry).
+ */
+function syncUrlState() {
+    if (!urlSyncEnabled) return;
+    history.replaceState(null, '', buildShareUrl());
+}
+
+function buildShareUrl() {
+    const params = new URLSearchParams();
+    // Keep dataset order so the same selection always yields the same link
+    const ids = ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id)).map(fw => fw.id);
+    if (ids.length) params.set('compare', ids.join(','));
+    if (!document.getElementById('dashboard').classList.contains('hidden')) params.set('view', 'dashboard');
+    if (baselineId && selectedIds.has(baselineId)) params.set('base', baselineId);
+
+    const answers = readQuizAnswers();
+    QUIZ_QUESTIONS.forEach(({ id }) => { if (answers[id]) params.set(id, answers[id]); });
+
+    // Commas are safe in a query string; keep them readable
+    const query = params.toString().replace(/%2C/g, ',');
+    return `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+}
+
+/**
+ * Apply state from an incoming link. Runs once, after loadFrameworks().
+ * Unknown ids / answers are dropped and reported in a single toast.
+ */
+function restoreStateFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const problems = [];
+
+    /* --- Selection --- */
+    const requested = (params.get('compare') || '').split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = requested.filter(id => !ALL_FRAMEWORKS.some(fw => fw.id === id));
+    const valid = [...new Set(requested.filter(id => !unknown.includes(id)))];
+    if (unknown.length) problems.push(tn('link.unknown', unknown.length, { ids: unknown.join(', ') }));
+    valid.forEach(id => selectedIds.add(id));
+    const base = params.get('base');
+    if (base && selectedIds.has(base)) baselineId = base;
+    else if (base) problems.push(t('link.badBaseline', { id: base }));
+
+    /* --- Quiz answers (in order: an answer can reveal the next question) --- */
+    QUIZ_QUESTIONS.forEach(question => {
+        const value = params.get(question.id);
+        // A conditional question that isn't asked drops its answer straight away
+        if (value && (!setQuizAnswer(question.id, value) || readQuizAnswers()[question.id] !== value)) {
+            problems.push(t('link.invalidAnswer', { question: localizeEntry(question).title, value }));
+        }
     });
+
+    urlSyncEnabled = true;
+    updateSelectionUI();
+
+    if (QUIZ_QUESTIONS.some(q => params.has(q.id)) && !getMissingAnswers().length) generateRecommendation();
+    if (params.get('view') === 'dashboard') {
+        if (selectedIds.size >= 2) showComparisonDashboard();
+        else problems.push(t('link.notEnough'));
+    }
+
+    syncUrlState();
+    if (problems.length) showToast(t('link.partlyRestored', { problems: problems.join('; ') }), 'warning');
+}
+
+/**
+ * Copy the current deep link to the clipboard.
+ */
+async function copyShareLink() {
+    syncUrlState();
+    const url = new URL(buildShareUrl(), location.href).href;
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (e) {
+        // Clipboard API unavailable (e.g. file:// or older browsers)
+        const ta = document.createElement('textarea');
+        ta.value = url;
+        ta.style.position = 'fixed';
+        ta.style.opacity = '0';
+        document.body.appendChild(ta);
+        ta.select();
+        const ok = document.execCommand('copy');
+        ta.remove();
+        if (!ok) {
+            showToast(t('link.copyFailed'), 'error');
+            return;
+        }
+    }
+    showToast(t('link.copied'), 'success');
 }
 
 /* ==========================================
@@ -854,10 +3604,7 @@ function applyTheme(theme) {
     icon.className = theme === 'dark' ? 'fas fa-sun text-lg' : 'fas fa-moon text-lg';
 
     // Re-draw charts if they exist (to pick up new theme colors)
-    if (radarChartInst || barChartInst) {
-        const selected = ALL_FRAMEWORKS.filter(fw => selectedIds.has(fw.id));
-        if (selected.length >= 2) renderCharts(selected);
-    }
+    redrawCharts();
 }
 
 /* ==========================================
@@ -922,6 +3669,7 @@ function showToast(message, type = 'info') {
 
     const cfg = configs[type] || configs.info;
     msgEl.textContent = message;
+    announce(message, type === 'error' || type === 'warning' ? 'assertive' : 'polite');
     iconEl.className = `fas ${cfg.icon}`;
     iconEl.style.color = cfg.color;
 
@@ -934,47 +3682,19 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
+/**
+ * Screen-reader announcement through the always-present live regions
+ * (the toast itself is display:none between messages, which some
+ * readers never announce). Cleared first so repeats are re-read.
+ */
+function announce(message, politeness = 'polite') {
+    const region = document.getElementById(politeness === 'assertive' ? 'liveAlert' : 'liveStatus');
+    if (!region) return;
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
 /* ==========================================
    HELPER: Calculate average score for a framework
    ========================================== */
-function calcAvgScore(fw) {
-    const vals = Object.values(fw.scores);
-    return Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
-}
-
-/* ==========================================
-   FALLBACK DATA (if frameworks.json can't load)
-   Very minimal inline copy for file:// fallback
-   ========================================== */
-const FALLBACK_DATA = [
-    {
-        id: 'react', name: 'React', type: 'Frontend', icon: 'fab fa-react', color: '#61DAFB', tagline: 'UI library by Meta', creator: 'Meta', year: 2013, language: 'JavaScript',
-        scores: { performance: 90, learningCurve: 70, communitySupport: 95, jobDemand: 95, scalability: 88 },
-        bestUseCases: ['SPAs', 'Dashboards', 'Mobile apps'], pros: ['Fast rendering', 'Huge ecosystem'], cons: ['Extra libraries needed'], tags: ['beginner-friendly', 'high-demand', 'fast-development', 'spa']
-    },
-    {
-        id: 'angular', name: 'Angular', type: 'Frontend', icon: 'fab fa-angular', color: '#DD0031', tagline: 'Full platform by Google', creator: 'Google', year: 2016, language: 'TypeScript',
-        scores: { performance: 85, learningCurve: 45, communitySupport: 85, jobDemand: 80, scalability: 95 },
-        bestUseCases: ['Enterprise apps', 'PWAs'], pros: ['Full framework', 'TypeScript'], cons: ['Steep curve'], tags: ['enterprise', 'large-scale', 'scalable']
-    },
-    {
-        id: 'vue', name: 'Vue.js', type: 'Frontend', icon: 'fab fa-vuejs', color: '#42B883', tagline: 'Progressive JS framework', creator: 'Evan You', year: 2014, language: 'JavaScript',
-        scores: { performance: 88, learningCurve: 88, communitySupport: 80, jobDemand: 75, scalability: 82 },
-        bestUseCases: ['SPAs', 'Prototyping'], pros: ['Easy learning', 'Good docs'], cons: ['Smaller job market'], tags: ['beginner-friendly', 'fast-development', 'lightweight']
-    },
-    {
-        id: 'django', name: 'Django', type: 'Backend', icon: 'fas fa-server', color: '#092E20', colorLight: '#44B78B', tagline: 'Python web framework', creator: 'Adrian Holovaty', year: 2005, language: 'Python',
-        scores: { performance: 78, learningCurve: 72, communitySupport: 85, jobDemand: 82, scalability: 88 },
-        bestUseCases: ['REST APIs', 'CMS'], pros: ['Batteries included', 'Admin panel'], cons: ['Monolithic'], tags: ['beginner-friendly', 'fast-development', 'backend']
-    },
-    {
-        id: 'laravel', name: 'Laravel', type: 'Backend', icon: 'fab fa-laravel', color: '#FF2D20', tagline: 'PHP framework for artisans', creator: 'Taylor Otwell', year: 2011, language: 'PHP',
-        scores: { performance: 75, learningCurve: 75, communitySupport: 82, jobDemand: 78, scalability: 80 },
-        bestUseCases: ['Full-stack apps', 'E-commerce'], pros: ['Eloquent ORM', 'Elegant syntax'], cons: ['PHP declining'], tags: ['beginner-friendly', 'fast-development', 'backend']
-    },
-    {
-        id: 'express', name: 'Express.js', type: 'Backend', icon: 'fab fa-node-js', color: '#68A063', tagline: 'Minimalist Node.js framework', creator: 'TJ Holowaychuk', year: 2010, language: 'JavaScript',
-        scores: { performance: 92, learningCurve: 80, communitySupport: 90, jobDemand: 88, scalability: 85 },
-        bestUseCases: ['REST APIs', 'Real-time apps'], pros: ['Very fast', 'Same JS as frontend'], cons: ['Unopinionated'], tags: ['fast-development', 'high-performance', 'backend', 'real-time']
-    },
-];
+const { calcAvgScore } = FrameworkEngine;
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * FrameWork Forge — bin/lint-dataset.js
+ * Checks a framework dataset before it ships:
+ *
+ *   node bin/lint-dataset.js [file] [--against other.json]
+ *   node bin/lint-dataset.js --compare react,vue,django
+ *
+ *  - Every problem the page would skip or repair on load
+ *    (required fields, scores 0–100, duplicate ids, icon
+ *    classes, colours — see dataset.js)
+ *  - Tags neither the catalogue nor the rules know
+ *  - Drift from another dataset given with --against
+ *  - --compare prints the dashboard's comparison table
+ * Exit codes: 0 clean (warnings allowed), 1 errors, 2 bad
+ * arguments.
+ * ============================================================
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FrameworkEngine = require('../engine.js');
+const FrameworkDataset = require('../dataset.js');
+const LOCALES = require('../locales.js');
+
+const ROOT = path.join(__dirname, '..');
+// Optional fields most entries leave out; other absent fields are worth a warning
+const USUALLY_ABSENT = ['history', 'translations'];
+
+class UsageError extends Error {}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read ${file}: ${e.message}`);
+    }
+}
+
+/** Positional file plus --name value / --name=value options; bare --flags get `true`. */
+function parseArgs(argv) {
+    const args = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) args.files.push(argv[i]);
+        else if (match[2] !== undefined) args[match[1]] = match[2];
+        else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) args[match[1]] = argv[++i];
+        else args[match[1]] = true;
+    }
+    return args;
+}
+
+/**
+ * Tags the page can name: the catalogue's tag.* strings plus every tag a
+ * recommendation rule awards.
+ */
+function getKnownTags(rulesDef) {
+    const catalogued = Object.keys(LOCALES.en.strings).filter(key => key.startsWith('tag.')).map(key => key.slice(4));
+    const { rules } = FrameworkEngine.validateRulesFile(rulesDef, () => {});
+    const awarded = FrameworkEngine.getRuleTagGroups(rules).flatMap(group => group.split('|'));
+    return new Set([...catalogued, ...awarded]);
+}
+
+/**
+ * Problems in a raw dataset: { level: 'error' | 'warning', id, field, message }.
+ * Anything validateFrameworks() would skip or repair is an error — the page
+ * copes, but the file is wrong.
+ */
+function lintFrameworks(list, knownTags) {
+    const problems = [];
+    const { issues } = FrameworkDataset.validateFrameworks(list);
+    issues.forEach(({ id, field, reason, action }) => problems.push({
+        level: 'error', id, field, message: `${reason} (${action === 'skipped' ? 'entry skipped' : 'repaired'} on load)`,
+    }));
+    if (!Array.isArray(list)) return problems;
+
+    list.forEach((entry, i) => {
+        if (!entry || typeof entry !== 'object') return;
+        const id = typeof entry.id === 'string' && entry.id ? entry.id : `#${i + 1}`;
+        Object.entries(FrameworkDataset.FRAMEWORK_SCHEMA)
+            .filter(([field, spec]) => !spec.required && !USUALLY_ABSENT.includes(field) && entry[field] === undefined)
+            .forEach(([field]) => problems.push({ level: 'warning', id, field, message: 'missing — the page shows a default' }));
+        (Array.isArray(entry.tags) ? entry.tags : [])
+            .filter(tag => typeof tag === 'string' && !knownTags.has(tag))
+            .forEach(tag => problems.push({ level: 'error', id, field: 'tags', message: `unknown tag "${tag}" (not in locales.js or any rule)` }));
+        Object.keys(entry.translations || {})
+            .filter(locale => !LOCALES[locale])
+            .forEach(locale => problems.push({ level: 'warning', id, field: 'translations', message: `no "${locale}" locale in locales.js` }));
+    });
+    return problems;
+}
+
+/** Entries and fields that differ between two datasets, as error problems. */
+function diffDatasets(list, other, otherName) {
+    const byId = entries => new Map((Array.isArray(entries) ? entries : []).filter(e => e && e.id).map(e => [e.id, e]));
+    const ours = byId(list);
+    const theirs = byId(other);
+    const problems = [];
+    const drift = (id, field, message) => problems.push({ level: 'error', id, field, message: `${message} (drift from ${otherName})` });
+
+    ours.forEach((entry, id) => {
+        if (!theirs.has(id)) return drift(id, '(entry)', 'missing there');
+        const twin = theirs.get(id);
+        [...new Set([...Object.keys(entry), ...Object.keys(twin)])]
+            .filter(field => JSON.stringify(entry[field]) !== JSON.stringify(twin[field]))
+            .forEach(field => drift(id, field, 'differs'));
+    });
+    theirs.forEach((entry, id) => {
+        if (!ours.has(id)) drift(id, '(entry)', 'only there');
+    });
+    return problems;
+}
+
+/** Terminal columns: emoji and East Asian wide characters take two, combining marks none. */
+function displayWidth(text) {
+    let width = 0;
+    for (const ch of text) {
+        if (/[\u200d\ufe00-\ufe0f\p{Mn}]/u.test(ch)) continue;
+        width += /[\p{Emoji_Presentation}\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/u.test(ch) ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * The dashboard's comparison table for the terminal: best value per score row
+ * starred, deltas against the baseline in brackets.
+ */
+function formatComparisonTable(frameworks, baselineId, t) {
+    const baseIndex = frameworks.findIndex(fw => fw.id === baselineId);
+    const header = ['', ...frameworks.map((fw, i) => (i === baseIndex ? `${fw.name} (${t('h2h.baseline')})` : fw.name))];
+    const rows = FrameworkDataset.buildComparisonRows(frameworks, t).map(row => [row.label, ...row.values.map((value, i) => {
+        if (!row.isScore) return String(value);
+        const best = FrameworkDataset.isBestValue(row.values, value) ? ' ★' : '';
+        const delta = baseIndex >= 0 && i !== baseIndex ? ` (${FrameworkEngine.formatDelta(value - row.values[baseIndex])})` : '';
+        return `${value}/100${best}${delta}`;
+    })]);
+
+    const widths = header.map((_, col) => Math.max(...[header, ...rows].map(cells => displayWidth(cells[col]))));
+    const line = cells => cells.map((cell, col) => cell + ' '.repeat(widths[col] - displayWidth(cell))).join('  ').trimEnd();
+    return [line(header), widths.map(w => '─'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function usage() {
+    return [
+        'Usage: node bin/lint-dataset.js [file] [options]',
+        '',
+        'Lints file (default frameworks.json).',
+        '',
+        'Options:',
+        ...[
+            ['--against <file>', 'Also report drift from another dataset'],
+            ['--compare <id,id,…>', 'Print the comparison table for these frameworks'],
+            ['--baseline <id>', 'Show score deltas against one of the compared frameworks'],
+            [`--locale <${Object.keys(LOCALES).join('|')}>`, 'Language for the table (default en)'],
+            ['--help', 'Show this help'],
+        ].map(([flag, text]) => `  ${flag.padEnd(22)}${text}`),
+    ].join('\n');
+}
+
+function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    try {
+        const args = parseArgs(argv);
+        if (args.help) {
+            stdout.write(`${usage()}\n`);
+            return 0;
+        }
+        const unknown = Object.keys(args).filter(name => !['files', 'against', 'compare', 'baseline', 'locale'].includes(name));
+        if (unknown.length) throw new UsageError(`Unknown option${unknown.length > 1 ? 's' : ''}: ${unknown.map(n => `--${n}`).join(' ')}`);
+        if (args.files.length > 1) throw new UsageError('Lint one dataset at a time');
+        for (const name of ['against', 'compare', 'baseline', 'locale']) {
+            if (args[name] === true) throw new UsageError(`--${name} needs a value`);
+        }
+        const locale = args.locale || 'en';
+        if (!LOCALES[locale]) throw new UsageError(`--locale must be one of: ${Object.keys(LOCALES).join(', ')}`);
+        if (args.baseline && !args.compare) throw new UsageError('--baseline only applies with --compare');
+
+        const file = path.resolve(args.files[0] || path.join(ROOT, 'frameworks.json'));
+        const name = path.relative(process.cwd(), file) || file;
+        const list = readJSON(file);
+        const problems = lintFrameworks(list, getKnownTags(readJSON(path.join(ROOT, 'recommendation-rules.json'))));
+        if (args.against) {
+            const against = path.resolve(args.against);
+            problems.push(...diffDatasets(list, readJSON(against), path.relative(process.cwd(), against) || against));
+        }
+
+        const errors = problems.filter(p => p.level === 'error').length;
+        const warnings = problems.length - errors;
+        const count = Array.isArray(list) ? list.length : 0;
+        stdout.write(`${name}: ${count} framework${count === 1 ? '' : 's'}\n`);
+        problems.forEach(p => stdout.write(`  ${p.level.padEnd(7)}  ${p.id} · ${p.field}: ${p.message}\n`));
+        stdout.write(`${errors ? '✖' : '✔'} ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}\n`);
+
+        if (args.compare) {
+            const { frameworks } = FrameworkDataset.validateFrameworks(list);
+            const i18n = FrameworkEngine.createTranslator(LOCALES, locale);
+            const ids = String(args.compare).split(',').map(id => id.trim()).filter(Boolean);
+            const missing = ids.filter(id => !frameworks.some(fw => fw.id === id));
+            if (missing.length) throw new UsageError(`Not in ${name}: ${missing.join(', ')}`);
+            if (args.baseline && !ids.includes(args.baseline)) throw new UsageError('--baseline must be one of the compared ids');
+            const picked = ids.map(id => i18n.localize(frameworks.find(fw => fw.id === id)));
+            stdout.write(`\n${formatComparisonTable(picked, args.baseline, i18n.t)}\n`);
+        }
+        return errors ? 1 : 0;
+    } catch (e) {
+        stderr.write(`${e.message}\n`);
+        if (e instanceof UsageError) {
+            stderr.write('Run with --help for the options.\n');
+            return 2;
+        }
+        return 1;
+    }
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main, lintFrameworks, diffDatasets, formatComparisonTable };
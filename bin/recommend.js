@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * FrameWork Forge — bin/recommend.js
+ * The page's recommendation, from the command line:
+ *
+ *   node bin/recommend.js --experience beginner --scale large \
+ *       --priority jobs --type backend [--format json]
+ *
+ * Answer flags come from the questionnaire in
+ * recommendation-rules.json (--help lists them); scoring is
+ * engine.js, so results match the page with default weights.
+ * --data files go through the page's schema check: bad entries
+ * are reported on stderr and left out of the ranking.
+ * Exit codes: 0 ok, 1 unreadable data, 2 bad arguments.
+ * ============================================================
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FrameworkEngine = require('../engine.js');
+const FrameworkDataset = require('../dataset.js');
+const LOCALES = require('../locales.js');
+
+const ROOT = path.join(__dirname, '..');
+const FORMATS = ['text', 'json'];
+const DEFAULT_TOP = 5;
+
+class UsageError extends Error {}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read ${file}: ${e.message}`);
+    }
+}
+
+/** Split argv into --name value / --name=value pairs; bare --flags get `true`. */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new UsageError(`Unexpected argument "${argv[i]}"`);
+        const [, name, inline] = match;
+        if (inline !== undefined) args[name] = inline;
+        else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) args[name] = argv[++i];
+        else args[name] = true;
+    }
+    return args;
+}
+
+/**
+ * Check the answer flags against the questionnaire. Answers to questions that
+ * aren't asked (a `when` doesn't match) are dropped with a warning, as the
+ * page clears them.
+ */
+function readAnswers(args, questions, warn) {
+    const answers = {};
+    questions.forEach(question => {
+        const value = args[question.id];
+        if (value === undefined) return;
+        if (!question.options.some(o => o.value === value)) {
+            throw new UsageError(`--${question.id} must be one of: ${question.options.map(o => o.value).join(', ')}`);
+        }
+        answers[question.id] = value;
+    });
+    questions.forEach(question => {
+        if (answers[question.id] && !FrameworkEngine.whenMatches(question, answers)) {
+            warn(`--${question.id} is not asked for these answers; ignoring it`);
+            delete answers[question.id];
+        }
+    });
+
+    const missing = FrameworkEngine.getMissingAnswers(questions, answers);
+    if (missing.length) {
+        throw new UsageError(`Missing answers: ${missing.map(q => `--${q.id} <${q.options.map(o => o.value).join('|')}>`).join(' ')}`);
+    }
+    return answers;
+}
+
+function usage(questions) {
+    const width = Math.max(...questions.map(q => q.id.length)) + 4;
+    const lines = questions.map(q => {
+        const notes = [q.required ? '' : 'optional', Object.keys(q.when).length
+            ? `asked when ${Object.entries(q.when).map(([id, values]) => `${id} is ${values.join('/')}`).join(' and ')}`
+            : ''].filter(Boolean);
+        return `  --${q.id.padEnd(width - 2)}${q.options.map(o => o.value).join(' | ')}${notes.length ? `  (${notes.join('; ')})` : ''}`;
+    });
+    return [
+        'Usage: node bin/recommend.js --<question> <answer> … [options]',
+        '',
+        'Questions:',
+        ...lines,
+        '',
+        'Options:',
+        ...[
+            ['--format <text|json>', 'Output format (default text); --json is short for --format json'],
+            ['--top <n>', `Ranked entries to print (default ${DEFAULT_TOP}; JSON lists all)`],
+            [`--locale <${Object.keys(LOCALES).join('|')}>`, 'Language for labels and the explanation (default en)'],
+            ['--data <file>', 'Framework dataset (default frameworks.json)'],
+            ['--rules <file>', 'Rules and questionnaire (default recommendation-rules.json)'],
+            ['--help', 'Show this help'],
+        ].map(([flag, text]) => `  ${flag.padEnd(22)}${text}`),
+    ].join('\n');
+}
+
+const stripMarkup = text => text.replace(/<[^>]+>/g, '');
+
+/** Everything the page shows for a recommendation, as plain data. */
+function buildReport(answers, { questions, rules, affinities }, frameworks, i18n) {
+    const { scored, pairs } = FrameworkEngine.rankFrameworks(frameworks, answers, { rules, affinities, i18n });
+    const entry = ({ fw, score, contributions }) => ({
+        id: fw.id,
+        name: fw.name,
+        type: fw.type,
+        score,
+        contributions: contributions.map(c => ({ ...c, points: Math.round(c.points * 100) / 100 })),
+    });
+    const report = {
+        answers,
+        summary: FrameworkEngine.formatAnswers(questions, answers, i18n.localize),
+        kind: pairs ? 'stack' : 'single',
+        ranking: scored.map(entry),
+        pairs: pairs && pairs.map(p => ({ front: p.front.fw.id, back: p.back.fw.id, affinities: p.affinities, total: p.total })),
+    };
+    if (pairs) {
+        report.winner = { front: pairs[0].front.fw.id, back: pairs[0].back.fw.id };
+        report.explanation = stripMarkup(FrameworkEngine.buildStackExplanation(pairs[0], answers, i18n));
+    } else if (scored.length) {
+        report.winner = { id: scored[0].fw.id };
+        report.explanation = stripMarkup(FrameworkEngine.buildExplanation(scored[0].fw, answers, i18n));
+    } else {
+        report.winner = null;
+        report.explanation = '';
+    }
+
+    const rank = next => FrameworkEngine.rankFrameworks(frameworks, next, { rules, affinities, i18n });
+    const { margin, tie, nearTie, runnerUp, flips } = FrameworkEngine.analyzeSensitivity(questions, answers, rank, { scored, pairs });
+    report.margin = margin;
+    report.runnerUp = runnerUp && runnerUp.label;
+    report.tie = tie;
+    report.nearTie = nearTie;
+    report.flips = flips.map(f => ({ question: f.question.id, answer: f.value, winner: f.winner.label, margin: f.margin }));
+    return report;
+}
+
+function formatText(report, frameworks, top, t) {
+    const nameOf = id => frameworks.find(fw => fw.id === id).name;
+    const rows = report.pairs
+        ? report.pairs.slice(0, top).map(p => [`${nameOf(p.front)} + ${nameOf(p.back)}`, p.total,
+            p.affinities.length ? `+${p.affinities.map(a => `${a.label} ${a.points}`).join(', ')}` : ''])
+        : report.ranking.slice(0, top).map(r => [r.name, r.score, t(`type.${r.type}`)]);
+    const width = Math.max(...rows.map(([label]) => label.length));
+    const scoreWidth = Math.max(...rows.map(([, score]) => String(score).length));
+
+    const lead = report.margin === null ? [] : [
+        t('sense.leadText', { runnerUp: report.runnerUp, points: t('common.points', { points: report.margin }) }) +
+            (report.tie ? ` (${t('sense.tieBadge')})` : report.nearTie ? ` (${t('sense.nearTieBadge')})` : ''),
+        ...(report.flips.length
+            ? [t('sense.flipsText'), ...report.flips.map(f => `  --${f.question} ${f.answer}  →  ${f.winner}`)]
+            : [t('sense.noFlips')]),
+        '',
+    ];
+    return [
+        report.summary,
+        '',
+        ...rows.map(([label, score, note], i) =>
+            `${String(i + 1).padStart(2)}. ${label.padEnd(width)}  ${t('common.points', { points: String(score).padStart(scoreWidth) })}  ${note}`.trimEnd()),
+        '',
+        ...lead,
+        report.explanation,
+    ].join('\n');
+}
+
+function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    const warn = message => stderr.write(`warning: ${message}\n`);
+    try {
+        const args = parseArgs(argv);
+        const def = FrameworkEngine.validateRulesFile(readJSON(path.resolve(args.rules || path.join(ROOT, 'recommendation-rules.json'))), warn);
+        if (args.help) {
+            stdout.write(`${usage(def.questions)}\n`);
+            return 0;
+        }
+
+        const format = args.json === true ? 'json' : args.format || 'text';
+        if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+        const top = args.top === undefined ? DEFAULT_TOP : Number(args.top);
+        if (!Number.isInteger(top) || top < 1) throw new UsageError('--top must be a positive whole number');
+        const locale = args.locale || 'en';
+        if (!LOCALES[locale]) throw new UsageError(`--locale must be one of: ${Object.keys(LOCALES).join(', ')}`);
+
+        const known = ['format', 'json', 'top', 'locale', 'data', 'rules', 'help', ...def.questions.map(q => q.id)];
+        const unknown = Object.keys(args).filter(name => !known.includes(name));
+        if (unknown.length) throw new UsageError(`Unknown option${unknown.length > 1 ? 's' : ''}: ${unknown.map(n => `--${n}`).join(' ')}`);
+
+        const answers = readAnswers(args, def.questions, warn);
+        const i18n = FrameworkEngine.createTranslator(LOCALES, locale);
+        const dataFile = path.resolve(args.data || path.join(ROOT, 'frameworks.json'));
+        const data = readJSON(dataFile);
+        // Same schema check as the page: report problems, rank what survives
+        const { frameworks: valid, issues } = FrameworkDataset.validateFrameworks(data);
+        issues.forEach(({ id, field, reason, action }) => warn(`${id} · ${field}: ${reason} (${action})`));
+        if (!valid.length) throw new Error(`No valid frameworks in ${dataFile}`);
+        const frameworks = valid.map(i18n.localize);
+
+        const report = buildReport(answers, def, frameworks, i18n);
+        stdout.write(format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : `${formatText(report, frameworks, top, i18n.t)}\n`);
+        return 0;
+    } catch (e) {
+        stderr.write(`${e.message}\n`);
+        if (e instanceof UsageError) {
+            stderr.write('Run with --help for the list of questions and options.\n');
+            return 2;
+        }
+        return 1;
+    }
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main, parseArgs, readAnswers, buildReport };
@@ -0,0 +1,304 @@
+/**
+ * ============================================================
+ * FrameWork Forge — dataset.js
+ * The framework data schema, shared by the page (app.js) and
+ * the Node tools in bin/:
+ *  - Field-by-field validation with repairs (validateFrameworks)
+ *  - Font Awesome icon class check
+ *  - Comparison table rows and leaderboard ranking as plain
+ *    data
+ * Loaded as a classic script after engine.js it defines
+ * FrameworkDataset; under Node it is require()'d.
+ * ============================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+    else root.FrameworkDataset = factory(root.FrameworkEngine);
+})(globalThis, engine => {
+    'use strict';
+
+    const { METRIC_KEYS, calcAvgScore } = engine;
+
+    /* ==========================================
+       FRAMEWORK DATA SCHEMA
+       One definition for every framework entry —
+       built-in, imported or custom. Each field is
+       either required (entry skipped when bad) or
+       repairable (bad value replaced by a default).
+       ========================================== */
+    const FRAMEWORK_SCHEMA = {
+        id: { type: 'id', required: true },
+        name: { type: 'string', required: true },
+        type: { type: 'enum', values: ['Frontend', 'Backend'], required: true },
+        scores: { type: 'scores', required: true },
+        year: { type: 'year', required: true },
+        icon: { type: 'icon', fallback: () => 'fas fa-cube' },
+        color: { type: 'color', fallback: () => '#8b5cf6' },
+        tagline: { type: 'string', fallback: fw => `${fw.type} framework` },
+        creator: { type: 'string', fallback: () => 'Unknown' },
+        language: { type: 'string', fallback: () => 'Unknown' },
+        bestUseCases: { type: 'stringList', fallback: () => [] },
+        pros: { type: 'stringList', fallback: () => [] },
+        cons: { type: 'stringList', fallback: () => [] },
+        tags: { type: 'stringList', fallback: () => [] },
+        history: { type: 'history', fallback: () => [] },
+        translations: { type: 'translations', fallback: () => ({}) },
+    };
+
+    /** Fields a dataset entry may translate per locale. */
+    const TRANSLATABLE_FIELDS = {
+        tagline: FRAMEWORK_SCHEMA.tagline,
+        bestUseCases: FRAMEWORK_SCHEMA.bestUseCases,
+        pros: FRAMEWORK_SCHEMA.pros,
+        cons: FRAMEWORK_SCHEMA.cons,
+    };
+
+    /** Up to four Font Awesome classes: a style ('fas', 'fab', …) plus 'fa-*' names. */
+    function isIconClass(value) {
+        const classes = String(value || '').trim().split(/\s+/);
+        return classes.length > 0 && classes.length <= 4 && classes.every(c => /^fa[a-z]?$|^fa-[a-z0-9-]+$/.test(c));
+    }
+
+    /**
+     * Check one value against its field type.
+     * Returns { value } when usable (plus `repaired`, a note, if it was coerced)
+     * or { reason } when not.
+     */
+    function checkSchemaField(spec, value) {
+        const isText = v => typeof v === 'string' && v.trim() !== '';
+        switch (spec.type) {
+            case 'id':
+                if (!isText(value)) return { reason: 'missing' };
+                return /^[\w-]+$/.test(value) ? { value } : { reason: 'may only contain letters, digits, "_" and "-"' };
+            case 'string':
+                if (!isText(value)) return { reason: 'missing or not text' };
+                return { value: value.trim(), repaired: value !== value.trim() && 'whitespace trimmed' };
+            case 'enum':
+                return spec.values.includes(value) ? { value } : { reason: `must be one of ${spec.values.join(', ')}` };
+            case 'icon':
+                if (!isText(value)) return { reason: 'missing or not text' };
+                return isIconClass(value) ? { value: value.trim().split(/\s+/).join(' ') } : { reason: 'must be Font Awesome classes like "fas fa-cube"' };
+            case 'color':
+                return /^#[0-9a-f]{6}$/i.test(value) ? { value } : { reason: 'must be a #rrggbb colour' };
+            case 'year': {
+                const year = typeof value === 'string' ? Number(value) : value;
+                if (!Number.isInteger(year) || year < 1970 || year > 2100) return { reason: 'must be a year (1970–2100)' };
+                return { value: year, repaired: year !== value && 'converted to a number' };
+            }
+            case 'stringList': {
+                if (isText(value)) return { value: [value.trim()], repaired: 'single text wrapped in a list' };
+                if (!Array.isArray(value)) return { reason: 'must be a list of text' };
+                const clean = value.filter(isText);
+                return { value: clean, repaired: clean.length !== value.length && 'non-text items dropped' };
+            }
+            case 'scores':
+                return checkScores(value);
+            case 'history':
+                return checkHistory(value);
+            case 'translations':
+                return checkTranslations(value);
+            default:
+                return { value };
+        }
+    }
+
+    /**
+     * Every metric must be present and numeric; out-of-range values are clamped
+     * and unknown keys dropped (they would skew calcAvgScore()).
+     */
+    function checkScores(scores) {
+        if (!scores || typeof scores !== 'object') return { reason: 'missing' };
+        const value = {};
+        const notes = [];
+        const unknown = Object.keys(scores).filter(k => !METRIC_KEYS.includes(k));
+        if (unknown.length) notes.push(`unknown ${unknown.join(', ')} dropped`);
+        for (const key of METRIC_KEYS) {
+            const raw = scores[key];
+            const num = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof num !== 'number' || !Number.isFinite(num)) {
+                return { reason: raw === undefined ? `${key} is missing` : `${key} is not a number`, field: `scores.${key}` };
+            }
+            value[key] = Math.min(100, Math.max(0, Math.round(num)));
+            if (value[key] !== raw) notes.push(`${key} ${JSON.stringify(raw)} → ${value[key]}`);
+        }
+        return { value, repaired: notes.join('; ') };
+    }
+
+    /**
+     * [{ date: 'YYYY' | 'YYYY-MM' | 'YYYY-MM-DD', scores: {…} }] — past score
+     * snapshots; `scores` stays the current one. Bad or duplicate snapshots are
+     * dropped and the rest sorted oldest first.
+     */
+    function checkHistory(history) {
+        if (!Array.isArray(history)) return { reason: 'must be a list of { date, scores } snapshots' };
+        const byDate = new Map();
+        const notes = [];
+        history.forEach((snapshot, i) => {
+            const date = typeof snapshot?.date === 'number' ? String(snapshot.date) : snapshot?.date;
+            if (typeof date !== 'string' || !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(date)) {
+                notes.push(`#${i + 1} dropped (date must be YYYY, YYYY-MM or YYYY-MM-DD)`);
+                return;
+            }
+            const scores = checkScores(snapshot.scores);
+            if (!('value' in scores)) notes.push(`${date} dropped (${scores.reason})`);
+            else if (byDate.has(date)) notes.push(`${date} dropped (duplicate date)`);
+            else {
+                byDate.set(date, { date, scores: scores.value });
+                if (scores.repaired) notes.push(`${date}: ${scores.repaired}`);
+            }
+        });
+        const value = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+        return { value, repaired: notes.join('; ') };
+    }
+
+    /**
+     * { <locale>: { tagline, pros, cons, bestUseCases } } — unusable locales or
+     * fields are dropped (the base text is shown instead), never fatal.
+     */
+    function checkTranslations(translations) {
+        if (!translations || typeof translations !== 'object' || Array.isArray(translations)) return { reason: 'must be an object keyed by locale' };
+        const value = {};
+        const notes = [];
+        for (const [locale, fields] of Object.entries(translations)) {
+            if (!fields || typeof fields !== 'object') {
+                notes.push(`${locale} dropped`);
+                continue;
+            }
+            value[locale] = {};
+            for (const [field, text] of Object.entries(fields)) {
+                const spec = TRANSLATABLE_FIELDS[field];
+                const result = spec ? checkSchemaField(spec, text) : { reason: 'not translatable' };
+                if ('value' in result) value[locale][field] = result.value;
+                else notes.push(`${locale}.${field} dropped (${result.reason})`);
+            }
+        }
+        return { value, repaired: notes.join('; ') };
+    }
+
+    /**
+     * Validate a list of framework entries against FRAMEWORK_SCHEMA.
+     * Returns { frameworks, issues } where each issue is
+     * { id, field, reason, action: 'skipped' | 'repaired' }.
+     */
+    function validateFrameworks(list) {
+        const frameworks = [];
+        const issues = [];
+        if (!Array.isArray(list)) {
+            issues.push({ id: '—', field: '(root)', reason: 'expected an array of frameworks', action: 'skipped' });
+            return { frameworks, issues };
+        }
+
+        const seen = new Set();
+        list.forEach((entry, i) => {
+            const label = typeof entry?.id === 'string' && entry.id ? entry.id : `#${i + 1}`;
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                issues.push({ id: label, field: '(entry)', reason: 'not an object', action: 'skipped' });
+                return;
+            }
+
+            const fw = { ...entry };
+            const entryIssues = [];
+            let skip = false;
+
+            for (const [field, spec] of Object.entries(FRAMEWORK_SCHEMA)) {
+                const result = checkSchemaField(spec, entry[field]);
+                if ('value' in result) {
+                    fw[field] = result.value;
+                    if (result.repaired) entryIssues.push({ id: label, field, reason: result.repaired, action: 'repaired' });
+                } else if (spec.required) {
+                    entryIssues.push({ id: label, field: result.field || field, reason: result.reason, action: 'skipped' });
+                    skip = true;
+                } else {
+                    fw[field] = spec.fallback(fw);
+                    // A simply-absent optional field is not worth reporting
+                    if (entry[field] !== undefined) {
+                        entryIssues.push({ id: label, field, reason: `${result.reason} — using default`, action: 'repaired' });
+                    }
+                }
+            }
+
+            if (!skip && seen.has(fw.id)) {
+                entryIssues.push({ id: label, field: 'id', reason: 'duplicate id', action: 'skipped' });
+                skip = true;
+            }
+
+            if (skip) {
+                // Only the fatal problems matter for an entry that is dropped
+                issues.push(...entryIssues.filter(issue => issue.action === 'skipped'));
+                return;
+            }
+            seen.add(fw.id);
+            issues.push(...entryIssues);
+            frameworks.push(fw);
+        });
+        return { frameworks, issues };
+    }
+
+    /* ==========================================
+       COMPARISON ROWS
+       ========================================== */
+    /**
+     * Rows of the comparison table as plain data, shared by the HTML table,
+     * the Markdown export and the terminal table so all carry the same content.
+     * Score rows name their `metric` (null for the average).
+     */
+    function buildComparisonRows(frameworks, t) {
+        return [
+            { label: t('table.type'), values: frameworks.map(fw => t(`type.${fw.type}`)) },
+            { label: t('table.language'), values: frameworks.map(fw => fw.language) },
+            { label: t('table.creator'), values: frameworks.map(fw => fw.creator) },
+            { label: t('table.year'), values: frameworks.map(fw => fw.year) },
+            // Score rows
+            ...METRIC_KEYS.map(key => ({
+                label: t(`metric.${key}`),
+                metric: key,
+                isScore: true,
+                values: frameworks.map(fw => fw.scores[key]),
+            })),
+            // Avg score row
+            { label: t('table.avg'), metric: null, isScore: true, values: frameworks.map(fw => calcAvgScore(fw)) },
+        ];
+    }
+
+    /** Highest value in a row, unless every framework ties (then nobody stands out). */
+    function isBestValue(values, value) {
+        const max = Math.max(...values);
+        return value === max && values.some(v => v !== max);
+    }
+
+    /* ==========================================
+       LEADERBOARD
+       ========================================== */
+    /** Columns a leaderboard can rank by: the average, then each metric. */
+    const LEADERBOARD_KEYS = ['avg', ...METRIC_KEYS];
+
+    /**
+     * Rank frameworks by the average ('avg') or one metric, highest first.
+     * Equal values share a rank ("1, 2, 2, 4") and keep dataset order.
+     * `direction: 'asc'` lists the lowest first; ranks stay best-first.
+     * Returns [{ fw, value, rank }].
+     */
+    function buildLeaderboard(frameworks, { key = 'avg', direction = 'desc' } = {}) {
+        if (!LEADERBOARD_KEYS.includes(key)) throw new Error(`Unknown leaderboard key "${key}" (have: ${LEADERBOARD_KEYS.join(', ')})`);
+        const valueOf = fw => (key === 'avg' ? calcAvgScore(fw) : fw.scores[key]);
+        const entries = frameworks.map(fw => ({ fw, value: valueOf(fw) }));
+        entries.forEach(entry => { entry.rank = entries.filter(other => other.value > entry.value).length + 1; });
+        const dir = direction === 'asc' ? -1 : 1;
+        return entries
+            .map((entry, index) => ({ entry, index }))
+            .sort((a, b) => (a.entry.rank - b.entry.rank) * dir || a.index - b.index)
+            .map(({ entry }) => entry);
+    }
+
+    return {
+        FRAMEWORK_SCHEMA,
+        TRANSLATABLE_FIELDS,
+        isIconClass,
+        checkSchemaField,
+        validateFrameworks,
+        buildComparisonRows,
+        isBestValue,
+        LEADERBOARD_KEYS,
+        buildLeaderboard,
+    };
+});
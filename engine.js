@@ -0,0 +1,526 @@
+/**
+ * ============================================================
+ * FrameWork Forge — engine.js
+ * The recommendation engine, free of DOM and storage code so
+ * the page (app.js) and the Node CLI (bin/recommend.js) run
+ * the same logic:
+ *  - Questionnaire + rules validation (recommendation-rules.json)
+ *  - Rule terms → per-framework scores with contributions
+ *  - Score trends & momentum
+ *  - Fullstack frontend + backend pairing
+ *  - Sensitivity: winning margin, near-ties, winner flips
+ *  - Plain-language explanations
+ * Loaded as a classic script it defines FrameworkEngine; under
+ * Node it is require()'d. Text goes through an i18n object
+ * { t, markup, localize, locale }: app.js hands in its own
+ * locale-aware t() / tHTML(), scripts use createTranslator().
+ * ============================================================
+ */
+(function (root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) module.exports = engine;
+    else root.FrameworkEngine = engine;
+})(globalThis, () => {
+    'use strict';
+
+    /* ==========================================
+       METRICS & TRENDS
+       ========================================== */
+    const METRIC_KEYS = ['performance', 'learningCurve', 'communitySupport', 'jobDemand', 'scalability'];
+    const TREND_FLAT_POINTS = 2;   // changes smaller than this count as flat
+
+    function calcAvgScore(fw) {
+        const vals = METRIC_KEYS.map(key => fw.scores[key]);
+        return Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
+    }
+
+    /**
+     * How one metric (or the average, when metricKey is omitted) moved since the
+     * oldest snapshot: { delta, since, direction: 'up' | 'down' | 'flat' }.
+     * Null for frameworks without history.
+     */
+    function getScoreTrend(fw, metricKey = null) {
+        const oldest = fw.history?.[0];
+        if (!oldest) return null;
+        const value = scores => metricKey ? scores[metricKey] : calcAvgScore({ scores });
+        const delta = value(fw.scores) - value(oldest.scores);
+        const direction = delta >= TREND_FLAT_POINTS ? 'up' : delta <= -TREND_FLAT_POINTS ? 'down' : 'flat';
+        return { delta, since: oldest.date, direction };
+    }
+
+    function formatDelta(delta) {
+        return delta > 0 ? `+${delta}` : `${delta}`;
+    }
+
+    /** Catalogue label for a tag, or the tag itself made readable ('real-time' → 'Real time'). */
+    function formatTag(tag, t) {
+        const key = `tag.${tag}`;
+        const known = t(key);
+        if (known !== key) return known;
+        const text = tag.replace(/-/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /* ==========================================
+       TRANSLATOR FOR SCRIPTS
+       A fixed-locale t() over the LOCALES
+       catalogues (plain text, no markup). The
+       page keeps its own switchable one.
+       Plural entries pick their form from a
+       numeric `count` param.
+       ========================================== */
+    function createTranslator(locales, locale = 'en', fallbackLocale = 'en') {
+        if (!locales[locale]) throw new Error(`Unknown locale "${locale}" (have: ${Object.keys(locales).join(', ')})`);
+        const lookup = key => locales[locale].strings[key] ?? locales[fallbackLocale]?.strings[key];
+        const plurals = new Intl.PluralRules(locale);
+        const t = (key, params = {}) => {
+            const entry = lookup(key);
+            if (entry === undefined) return key;
+            const template = typeof entry === 'string'
+                ? entry
+                : (typeof params.count === 'number' && entry[plurals.select(params.count)]) || entry.other;
+            return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        };
+        const localize = entry => {
+            const overrides = entry.translations?.[locale];
+            return overrides ? { ...entry, ...overrides } : entry;
+        };
+        return { locale, t, markup: t, localize };
+    }
+
+    /* ==========================================
+       RULES FILE VALIDATION
+       Anything malformed is reported through
+       `warn` and skipped, so one typo doesn't
+       take the whole engine down.
+       ========================================== */
+    // Query parameters the page's deep links already use — a question id can't take one
+    const RESERVED_QUESTION_IDS = ['compare', 'view', 'base'];
+
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+    const defaultWarn = message => console.warn(message);
+
+    /**
+     * Questions need a unique id, a title and two or more options with unique
+     * values. A `when` may only look at earlier questions (and their options),
+     * so answering in order always settles which questions are asked.
+     */
+    function validateQuestions(questions, warn = defaultWarn) {
+        if (!Array.isArray(questions)) throw new Error('Rules file must contain a "questions" array');
+        const clean = [];
+
+        questions.forEach((question, i) => {
+            const id = question?.id;
+            const report = msg => warn(`Question "${id || `#${i + 1}`}": ${msg}`);
+            if (typeof id !== 'string' || !/^[a-z][a-zA-Z0-9-]*$/.test(id)) return report('id must be a word starting with a lowercase letter');
+            if (RESERVED_QUESTION_IDS.includes(id) || clean.some(q => q.id === id)) return report('id is reserved or already used');
+            if (typeof question.title !== 'string' || !question.title) return report('needs a title');
+
+            const options = (Array.isArray(question.options) ? question.options : []).filter(option => {
+                const ok = option && typeof option.value === 'string' && option.value && typeof option.label === 'string';
+                if (!ok) report('skipped an option without a value and label');
+                return ok;
+            });
+            const values = options.map(o => o.value);
+            if (options.length < 2 || new Set(values).size !== values.length) return report('needs two or more options with unique values');
+
+            const when = {};
+            let whenOk = true;
+            Object.entries(question.when || {}).forEach(([other, accepted]) => {
+                const earlier = clean.find(q => q.id === other);
+                const list = [].concat(accepted).map(String);
+                if (!earlier || !list.every(v => earlier.options.some(o => o.value === v))) whenOk = false;
+                else when[other] = list;
+            });
+            if (!whenOk) return report('"when" must name earlier questions and their option values');
+
+            clean.push({
+                id,
+                icon: question.icon || '',
+                title: question.title,
+                sub: question.sub || '',
+                required: question.required !== false,
+                when,
+                translations: question.translations || {},
+                options: options.map(o => ({ value: o.value, emoji: o.emoji || '', label: o.label, translations: o.translations || {} })),
+            });
+        });
+        return clean;
+    }
+
+    /** Keep only well-formed rule parts; `when` is checked against the validated questions. */
+    function validateRules(def, questions, warn = defaultWarn) {
+        if (!def || !Array.isArray(def.rules)) throw new Error('Rules file must contain a "rules" array');
+
+        return def.rules.map((rule, i) => {
+            const id = rule.id || `rule-${i + 1}`;
+            const report = msg => warn(`Recommendation rule "${id}": ${msg}`);
+            const clean = { id, label: rule.label || id, translations: rule.translations || {}, when: {}, metrics: {}, tagBonuses: [], typeBonuses: {}, languageBonuses: {}, frameworkBonuses: {}, momentum: 0 };
+
+            Object.entries(rule.when || {}).forEach(([questionId, accepted]) => {
+                const question = questions.find(q => q.id === questionId);
+                if (!question) return report(`unknown question "${questionId}" in when`);
+                const values = [].concat(accepted).map(String);
+                values.filter(v => !question.options.some(o => o.value === v))
+                    .forEach(v => report(`"${questionId}" has no option "${v}"`));
+                clean.when[questionId] = values;
+            });
+            Object.entries(rule.metrics || {}).forEach(([key, factor]) => {
+                if (!METRIC_KEYS.includes(key)) return report(`unknown metric "${key}"`);
+                if (!isNum(factor)) return report(`multiplier for "${key}" is not a number`);
+                clean.metrics[key] = factor;
+            });
+            (rule.tagBonuses || []).forEach(bonus => {
+                if (!Array.isArray(bonus.anyOf) || !bonus.anyOf.length || !isNum(bonus.points)) return report('tag bonus needs anyOf[] and points');
+                clean.tagBonuses.push({ anyOf: bonus.anyOf.map(String), points: bonus.points });
+            });
+            Object.entries(rule.typeBonuses || {}).forEach(([fwType, points]) => {
+                if (!isNum(points)) return report(`type bonus for "${fwType}" is not a number`);
+                clean.typeBonuses[fwType] = points;
+            });
+            Object.entries(rule.languageBonuses || {}).forEach(([language, points]) => {
+                if (!isNum(points)) return report(`language bonus for "${language}" is not a number`);
+                clean.languageBonuses[language] = points;
+            });
+            Object.entries(rule.frameworkBonuses || {}).forEach(([fwId, points]) => {
+                if (!isNum(points)) return report(`framework bonus for "${fwId}" is not a number`);
+                clean.frameworkBonuses[fwId] = points;
+            });
+            if (rule.momentum !== undefined) {
+                if (isNum(rule.momentum) && rule.momentum >= 0) clean.momentum = rule.momentum;
+                else report('momentum must be a number ≥ 0');
+            }
+            return clean;
+        });
+    }
+
+    /**
+     * Same idea for the fullstack pairing affinities: each needs a label, numeric
+     * points and exactly one condition (sameField, bothIn or pairs).
+     */
+    function validatePairings(pairings, warn = defaultWarn) {
+        return ((pairings && pairings.affinities) || []).filter((a, i) => {
+            const id = a.id || `affinity-${i + 1}`;
+            const conditions = ['sameField', 'bothIn', 'pairs'].filter(k => a[k] !== undefined);
+            const ok = isNum(a.points) && conditions.length === 1
+                && (!a.pairs || (Array.isArray(a.pairs) && a.pairs.every(p => Array.isArray(p) && p.length === 2)))
+                && (!a.bothIn || (typeof a.bothIn === 'object' && Object.values(a.bothIn).every(Array.isArray)));
+            if (!ok) warn(`Pairing affinity "${id}": needs numeric points and one of sameField / bothIn / pairs`);
+            return ok;
+        }).map((a, i) => ({ ...a, id: a.id || `affinity-${i + 1}`, label: a.label || a.id }));
+    }
+
+    /** The whole rules file at once: { questions, rules, affinities }. */
+    function validateRulesFile(def, warn = defaultWarn) {
+        const questions = validateQuestions(def?.questions, warn);
+        return {
+            questions,
+            rules: validateRules(def, questions, warn),
+            affinities: validatePairings(def.pairings, warn),
+        };
+    }
+
+    /* ==========================================
+       QUESTIONS & RULE TERMS
+       ========================================== */
+    /** A rule fires / a question is asked when every `when` entry matches the answers. */
+    function whenMatches(entry, answers) {
+        return Object.entries(entry.when).every(([question, accepted]) => accepted.includes(answers[question]));
+    }
+
+    /** Questions asked for these answers. */
+    function getAskedQuestions(questions, answers) {
+        return questions.filter(question => whenMatches(question, answers));
+    }
+
+    /** Required questions that are asked but not answered. */
+    function getMissingAnswers(questions, answers) {
+        return getAskedQuestions(questions, answers).filter(question => question.required && !answers[question.id]);
+    }
+
+    /** The chosen options' labels in question order ('Beginner · Large / Enterprise · …'). */
+    function formatAnswers(questions, answers, localize = entry => entry) {
+        return questions.filter(question => answers[question.id]).map(question => {
+            const option = question.options.find(o => o.value === answers[question.id]);
+            return option ? localize(option).label : answers[question.id];
+        }).join(' · ');
+    }
+
+    /**
+     * Evaluate the rules for a set of answers into an ordered list of terms:
+     *   { rule, metric, factor }      → score × factor
+     *   { rule, tags, points }        → points if ANY tag matches
+     *   { rule, fwType, points }      → points if fw.type matches
+     *   { rule, language, points }    → points if fw.language matches
+     *   { rule, ids, points }         → points for specific frameworks
+     *   { rule, momentum }            → factor for metric trends (see computeMomentum)
+     * Unanswered questions never satisfy a condition.
+     */
+    function buildRuleTerms(rules, answers, localize = entry => entry) {
+        const terms = [];
+        rules.filter(rule => whenMatches(rule, answers)).forEach(rule => {
+            const name = localize(rule).label;
+            Object.entries(rule.metrics).forEach(([metric, factor]) => terms.push({ rule: name, metric, factor }));
+            rule.tagBonuses.forEach(b => terms.push({ rule: name, tags: b.anyOf, points: b.points }));
+            Object.entries(rule.typeBonuses).forEach(([fwType, points]) => terms.push({ rule: name, fwType, points }));
+            Object.entries(rule.languageBonuses).forEach(([language, points]) => terms.push({ rule: name, language, points }));
+            Object.entries(rule.frameworkBonuses).forEach(([id, points]) => terms.push({ rule: name, ids: [id], points }));
+            if (rule.momentum) terms.push({ rule: name, momentum: rule.momentum });
+        });
+        return terms;
+    }
+
+    /** Every tag group any rule can award ('a|b' = any of a or b). */
+    function getRuleTagGroups(rules) {
+        return [...new Set(rules.flatMap(rule => rule.tagBonuses.map(b => b.anyOf.join('|'))))];
+    }
+
+    /* ==========================================
+       SCORING
+       ========================================== */
+    /**
+     * Rule-based score for one framework, plus the contributions behind it:
+     *   { total, contributions: [{ rule, source, metric, detail, points }] }
+     */
+    function scoreFramework(fw, terms, i18n) {
+        const { t } = i18n;
+        const s = fw.scores;
+        const tags = fw.tags || [];
+        const contributions = [];
+
+        terms.forEach(term => {
+            if (term.metric) {
+                if (!term.factor) return;
+                contributions.push({
+                    rule: term.rule,
+                    source: t(`metric.${term.metric}`),
+                    metric: term.metric,
+                    detail: `${s[term.metric]} × ${term.factor}`,
+                    points: s[term.metric] * term.factor,
+                });
+            } else if (term.tags) {
+                const hit = term.tags.find(tag => tags.includes(tag));
+                if (!hit || !term.points) return;
+                contributions.push({
+                    rule: term.rule,
+                    source: t('rec.source.tag', { tags: term.tags.map(tag => formatTag(tag, t)).join(' / ') }),
+                    metric: null,
+                    detail: t('rec.detail.hasTag', { tag: formatTag(hit, t) }),
+                    points: term.points,
+                });
+            } else if (term.fwType) {
+                if (fw.type !== term.fwType || !term.points) return;
+                contributions.push({ rule: term.rule, source: t('rec.source.type', { type: t(`type.${fw.type}`) }), metric: null, detail: t('rec.detail.typeMatch'), points: term.points });
+            } else if (term.language) {
+                if (fw.language !== term.language || !term.points) return;
+                contributions.push({ rule: term.rule, source: t('rec.source.language', { language: fw.language }), metric: null, detail: t('rec.detail.languageMatch'), points: term.points });
+            } else if (term.ids) {
+                if (!term.ids.includes(fw.id) || !term.points) return;
+                contributions.push({ rule: term.rule, source: t('rec.source.bonus'), metric: null, detail: fw.name, points: term.points });
+            }
+        });
+        contributions.push(...computeMomentum(fw, terms, i18n));
+
+        const total = Math.round(contributions.reduce((sum, c) => sum + c.points, 0));
+        return { total, contributions };
+    }
+
+    /**
+     * Momentum: with a momentum factor in play, each weighted metric's trend
+     * (change since the oldest snapshot) × its summed multiplier × the factor.
+     * Rising metrics earn points, sliding ones lose them.
+     */
+    function computeMomentum(fw, terms, { t }) {
+        const momentumTerms = terms.filter(term => term.momentum);
+        const factor = momentumTerms.reduce((sum, term) => sum + term.momentum, 0);
+        if (!factor || !fw.history?.length) return [];
+
+        const weights = {};
+        terms.filter(term => term.metric && term.factor).forEach(term => {
+            weights[term.metric] = (weights[term.metric] || 0) + term.factor;
+        });
+        return Object.entries(weights).flatMap(([metric, weight]) => {
+            const trend = getScoreTrend(fw, metric);
+            if (!trend.delta) return [];
+            return [{
+                rule: momentumTerms[0].rule,
+                source: t('rec.source.momentum', { metric: t(`metric.${metric}`) }),
+                metric,
+                detail: t('rec.detail.momentum', { delta: formatDelta(trend.delta), since: trend.since, weight: Math.round(weight * 100) / 100, factor }),
+                points: trend.delta * weight * factor,
+            }];
+        });
+    }
+
+    /**
+     * Score every framework for a set of answers, best first. Fullstack answers
+     * also rank frontend + backend pairs (`pairs` is null when there are none).
+     * `terms` defaults to the rules' terms; the page passes its custom weights.
+     */
+    function rankFrameworks(frameworks, answers, { rules = [], affinities = [], terms, i18n }) {
+        const scoringTerms = terms || buildRuleTerms(rules, answers, i18n.localize);
+        const scored = frameworks.map(fw => {
+            const { total, contributions } = scoreFramework(fw, scoringTerms, i18n);
+            return { fw, score: total, contributions };
+        }).sort((a, b) => b.score - a.score);
+
+        const pairs = answers.type === 'fullstack' ? rankStackPairs(scored, affinities, i18n) : [];
+        return { scored, pairs: pairs.length ? pairs : null };
+    }
+
+    /**
+     * Score every frontend × backend pairing: both frameworks' own scores
+     * plus any pairing affinities from the rules file.
+     */
+    function rankStackPairs(scored, affinities, i18n) {
+        const fronts = scored.filter(e => e.fw.type === 'Frontend');
+        const backs = scored.filter(e => e.fw.type === 'Backend');
+
+        return fronts.flatMap(front => backs.map(back => {
+            const matched = computePairAffinities(front.fw, back.fw, affinities, i18n);
+            const total = front.score + back.score + matched.reduce((sum, a) => sum + a.points, 0);
+            return { front, back, affinities: matched, total };
+        })).sort((a, b) => b.total - a.total);
+    }
+
+    function computePairAffinities(front, back, affinities, { localize }) {
+        return affinities.filter(a => {
+            if (a.sameField) return front[a.sameField] !== undefined && front[a.sameField] === back[a.sameField];
+            if (a.bothIn) return Object.entries(a.bothIn).every(([field, values]) =>
+                values.includes(front[field]) && values.includes(back[field]));
+            return a.pairs.some(([x, y]) => (x === front.id && y === back.id) || (x === back.id && y === front.id));
+        }).map(a => ({ id: a.id, label: localize(a).label, points: a.points }));
+    }
+
+    /* ==========================================
+       SENSITIVITY
+       How safe the pick is: the margin over the
+       runner-up, and who would win if any one
+       answer were different.
+       ========================================== */
+    const NEAR_TIE_POINTS = 5;   // a lead this small or smaller counts as a near-tie
+
+    /**
+     * Ranked candidates of a ranking as { key, label, score, ids }: stacks when
+     * there are pairs, single frameworks otherwise.
+     */
+    function getCandidates({ scored, pairs }) {
+        return pairs
+            ? pairs.map(p => ({ key: `${p.front.fw.id}+${p.back.fw.id}`, label: `${p.front.fw.name} + ${p.back.fw.name}`, score: p.total, ids: [p.front.fw.id, p.back.fw.id] }))
+            : scored.map(e => ({ key: e.fw.id, label: e.fw.name, score: e.score, ids: [e.fw.id] }));
+    }
+
+    /**
+     * { winner, runnerUp, margin, tie, nearTie } for a ranking. With a tie the
+     * winner is simply the one listed first; margin is null without a runner-up.
+     */
+    function getWinningMargin(ranking) {
+        const [winner = null, runnerUp = null] = getCandidates(ranking);
+        const margin = winner && runnerUp ? winner.score - runnerUp.score : null;
+        return { winner, runnerUp, margin, tie: margin === 0, nearTie: margin !== null && margin <= NEAR_TIE_POINTS };
+    }
+
+    /**
+     * The answers with one question changed; answers to questions that stop
+     * being asked are dropped, as the questionnaire clears them.
+     */
+    function changeAnswer(questions, answers, questionId, value) {
+        const next = {};
+        questions.forEach(question => {
+            const current = question.id === questionId ? value : answers[question.id];
+            if (current && whenMatches(question, next)) next[question.id] = current;
+        });
+        return next;
+    }
+
+    /**
+     * Re-rank with each asked question set to each of its options, the other
+     * answers kept. `rank(answers)` is the caller's ranking function, so custom
+     * weights are honoured; `ranking` is the current result.
+     *   rows:  [{ question, cells: [{ value, current, winner, margin, flip }] }]
+     *   flips: the cells whose winner differs from the current one
+     * A cell's winner is null when the change leaves a required question open.
+     */
+    function analyzeSensitivity(questions, answers, rank, ranking = rank(answers)) {
+        const base = getWinningMargin(ranking);
+        const rows = getAskedQuestions(questions, answers).map(question => ({
+            question,
+            cells: question.options.map(({ value }) => {
+                if (value === answers[question.id]) return { value, current: true, winner: base.winner, margin: base.margin, flip: false };
+                const next = changeAnswer(questions, answers, question.id, value);
+                if (getMissingAnswers(questions, next).length) return { value, current: false, winner: null, margin: null, flip: false };
+                const { winner, margin } = getWinningMargin(rank(next));
+                return { value, current: false, winner, margin, flip: Boolean(winner && base.winner && winner.key !== base.winner.key) };
+            }),
+        }));
+        const flips = rows.flatMap(({ question, cells }) => cells.filter(c => c.flip).map(c => ({ question, ...c })));
+        return { ...base, rows, flips };
+    }
+
+    /* ==========================================
+       EXPLANATIONS
+       Catalogue sentences with inline markup,
+       rendered through i18n.markup().
+       ========================================== */
+    function buildExplanation(fw, { experience, scale, priority, type }, { t, markup }) {
+        // The full sentence needs the four built-in questions; a trimmed questionnaire gets the short one
+        const key = experience && scale && priority && type ? 'explain.single' : 'explain.singleGeneric';
+        return markup(key, {
+            level: t(`explain.level.${experience}`),
+            type: t(`explain.type.${type}`),
+            scale: t(`explain.scale.${scale}`),
+            priority: t(`explain.priority.${priority}`),
+            name: fw.name,
+            learning: t(fw.scores.learningCurve >= 75 ? 'explain.learning.easy' : 'explain.learning.powerful'),
+            demand: t(fw.scores.jobDemand >= 85 ? 'explain.demand.strong' : 'explain.demand.community'),
+            scalability: t(fw.scores.scalability >= 85 ? 'explain.scalability.enterprise' : 'explain.scalability.reliable'),
+        });
+    }
+
+    function buildStackExplanation({ front, back, affinities }, { experience, scale, priority }, { t, markup }) {
+        return markup(experience && scale && priority ? 'explain.stack' : 'explain.stackGeneric', {
+            level: t(`explain.level.${experience}`),
+            scale: t(`explain.scale.${scale}`),
+            priority: t(`explain.priority.${priority}`),
+            front: front.fw.name,
+            frontPoints: front.score,
+            back: back.fw.name,
+            backPoints: back.score,
+            closing: affinities.length
+                ? t('explain.stackAffinities', { list: affinities.map(a => a.label).join(', ') })
+                : t('explain.stackEach'),
+        });
+    }
+
+    return {
+        METRIC_KEYS,
+        TREND_FLAT_POINTS,
+        RESERVED_QUESTION_IDS,
+        calcAvgScore,
+        getScoreTrend,
+        formatDelta,
+        formatTag,
+        createTranslator,
+        validateQuestions,
+        validateRules,
+        validatePairings,
+        validateRulesFile,
+        whenMatches,
+        getAskedQuestions,
+        getMissingAnswers,
+        formatAnswers,
+        buildRuleTerms,
+        getRuleTagGroups,
+        scoreFramework,
+        computeMomentum,
+        rankFrameworks,
+        rankStackPairs,
+        computePairAffinities,
+        NEAR_TIE_POINTS,
+        getWinningMargin,
+        changeAnswer,
+        analyzeSensitivity,
+        buildExplanation,
+        buildStackExplanation,
+    };
+});
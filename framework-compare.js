@@ -0,0 +1,442 @@
+/**
+ * ============================================================
+ * FrameWork Forge — framework-compare.js
+ * <framework-compare>: the dashboard's radar, bar chart or
+ * comparison table as an element for any page:
+ *
+ *   <script src="https://…/framework-compare.js"></script>
+ *   <framework-compare ids="react,vue" view="radar"></framework-compare>
+ *
+ * Attributes (all may change at any time):
+ *  - ids       Comma-separated framework ids
+ *  - view      radar (default) | bars | table
+ *  - src       Dataset URL (default frameworks.json next to
+ *              this script)
+ *  - theme     light (default) | dark
+ *  - palette   brand (default) | colorblind
+ *  - baseline  Id the table shows score deltas against
+ *  - lang      Locale of the labels (default: the nearest
+ *              lang attribute, else English)
+ * Each element keeps its chart and styles in its own shadow
+ * root, so any number can share a page. What it builds on
+ * (locales.js, engine.js, dataset.js, views.js and Chart.js)
+ * is loaded from next to this script unless the page already
+ * has it. --framework-compare-height sets the chart height.
+ * ============================================================
+ */
+(function () {
+    'use strict';
+
+    if (customElements.get('framework-compare')) return;   // Script included twice
+
+    const SCRIPT_URL = document.currentScript?.src || document.baseURI;
+    const VIEWS = ['radar', 'bars', 'table'];
+
+    /* ==========================================
+       DEPENDENCIES
+       Loaded once, in order, for every element on
+       the page. locales.js declares a global const
+       rather than a window property, hence typeof.
+       ========================================== */
+    const DEPENDENCIES = [
+        [() => typeof LOCALES !== 'undefined', 'locales.js'],
+        [() => 'FrameworkEngine' in window, 'engine.js'],
+        [() => 'FrameworkDataset' in window, 'dataset.js'],
+        [() => 'FrameworkViews' in window, 'views.js'],
+        [() => 'Chart' in window, 'https://cdn.jsdelivr.net/npm/chart.js@4.4.2/dist/chart.umd.min.js'],
+    ];
+
+    let dependenciesReady = null;
+
+    function loadDependencies() {
+        if (!dependenciesReady) {
+            dependenciesReady = DEPENDENCIES.reduce(
+                (ready, [isLoaded, url]) => ready.then(() => isLoaded() || loadScript(new URL(url, SCRIPT_URL).href)),
+                Promise.resolve()
+            );
+            // Let the next element retry after a failed script (scripts already in are skipped)
+            dependenciesReady.catch(() => { dependenciesReady = null; });
+        }
+        return dependenciesReady;
+    }
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Could not load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /* ==========================================
+       DATASETS
+       One fetch per URL, shared by every element
+       using it. Entries go through the page's own
+       validation, so a bad file can't inject markup.
+       ========================================== */
+    const datasets = new Map();   // URL → Promise of validated frameworks
+
+    function loadDataset(url) {
+        if (!datasets.has(url)) {
+            const request = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return res.json();
+                })
+                .then(list => {
+                    const { frameworks, issues } = FrameworkDataset.validateFrameworks(list);
+                    if (issues.length) console.warn(`<framework-compare>: ${issues.length} problem(s) in ${url}`, issues);
+                    return frameworks;
+                });
+            // A failed load may succeed later (network back, src fixed) — don't keep it
+            request.catch(() => datasets.delete(url));
+            datasets.set(url, request);
+        }
+        return datasets.get(url);
+    }
+
+    /* ==========================================
+       SHADOW DOM STYLES
+       The page's style.css and Tailwind don't reach
+       inside the shadow root; these mirror the
+       dashboard's look for both themes.
+       ========================================== */
+    const STYLES = `
+:host {
+  --bg-card: #ffffff;
+  --border: rgba(0, 0, 0, 0.08);
+  --text-primary: #0f0f1a;
+  --text-secondary: #4a4a6a;
+  --text-muted: #8080a0;
+  --accent: #7c3aed;
+  --accent-glow: rgba(124, 58, 237, 0.15);
+  --table-header-bg: rgba(124, 58, 237, 0.08);
+  --table-row-alt: rgba(0, 0, 0, 0.02);
+  display: block;
+  padding: 1rem;
+  border: 1px solid var(--border);
+  border-radius: 16px;
+  background: var(--bg-card);
+  color: var(--text-primary);
+  font-family: 'Inter', system-ui, sans-serif;
+}
+
+:host([theme="dark"]) {
+  --bg-card: #16161f;
+  --border: rgba(255, 255, 255, 0.08);
+  --text-primary: #f0f0ff;
+  --text-secondary: #9090b0;
+  --text-muted: #50507a;
+  --accent: #8b5cf6;
+  --accent-glow: rgba(139, 92, 246, 0.3);
+  --table-header-bg: rgba(139, 92, 246, 0.12);
+  --table-row-alt: rgba(255, 255, 255, 0.02);
+}
+
+:host([hidden]) {
+  display: none;
+}
+
+.chart-wrap {
+  position: relative;
+  height: var(--framework-compare-height, 320px);
+}
+
+.message,
+.note {
+  margin: 0;
+  font-size: 0.875rem;
+  color: var(--text-secondary);
+}
+
+.note {
+  margin-top: 0.5rem;
+  color: var(--text-muted);
+}
+
+.chart-data {
+  margin-top: 1rem;
+  font-size: 0.8rem;
+  color: var(--text-secondary);
+}
+
+.chart-data summary {
+  cursor: pointer;
+  font-weight: 600;
+  color: var(--accent);
+}
+
+.chart-data-table {
+  width: 100%;
+  margin-top: 0.5rem;
+  border-collapse: collapse;
+}
+
+.chart-data-table th,
+.chart-data-table td {
+  padding: 0.35rem 0.5rem;
+  border-bottom: 1px solid var(--border);
+  text-align: right;
+}
+
+.chart-data-table th:first-child {
+  text-align: left;
+}
+
+.table-wrap {
+  overflow-x: auto;
+}
+
+.comparison-table {
+  width: 100%;
+  border-collapse: collapse;
+}
+
+.comparison-table th {
+  background: var(--table-header-bg);
+  font-weight: 700;
+  padding: 12px 16px;
+  text-align: left;
+  border-bottom: 1px solid var(--border);
+}
+
+.comparison-table td {
+  padding: 10px 16px;
+  border-bottom: 1px solid var(--border);
+  color: var(--text-secondary);
+  font-size: 0.875rem;
+  vertical-align: middle;
+}
+
+.comparison-table tr:nth-child(even) td {
+  background: var(--table-row-alt);
+}
+
+.comparison-table tr:last-child td {
+  border-bottom: none;
+}
+
+.score-pill {
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  padding: 3px 10px;
+  border-radius: 999px;
+  font-weight: 700;
+  font-size: 0.8rem;
+}
+
+.score-best {
+  box-shadow: 0 0 0 2px currentColor;
+}
+
+/* No Font Awesome in here — draw the crown as text */
+.fa-crown::before {
+  content: '♛';
+  font-style: normal;
+}
+
+.score-high {
+  background: rgba(16, 185, 129, 0.15);
+  color: #10b981;
+}
+
+.score-mid {
+  background: rgba(245, 158, 11, 0.15);
+  color: #f59e0b;
+}
+
+.score-low {
+  background: rgba(239, 68, 68, 0.15);
+  color: #ef4444;
+}
+
+.score-delta {
+  margin-left: 6px;
+  font-size: 0.75rem;
+  font-weight: 700;
+}
+
+.delta-up {
+  color: #10b981;
+}
+
+.delta-down {
+  color: #ef4444;
+}
+
+.delta-even {
+  color: var(--text-muted);
+}
+
+.baseline-badge {
+  margin-left: 4px;
+  padding: 1px 6px;
+  border-radius: 999px;
+  background: var(--accent-glow);
+  color: var(--text-primary);
+  font-size: 0.65rem;
+  font-weight: 600;
+  text-transform: uppercase;
+}
+
+.sr-only {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  padding: 0;
+  margin: -1px;
+  overflow: hidden;
+  clip: rect(0, 0, 0, 0);
+  white-space: nowrap;
+  border: 0;
+}
+`;
+
+    /* ==========================================
+       THE ELEMENT
+       ========================================== */
+    class FrameworkCompare extends HTMLElement {
+        static get observedAttributes() {
+            return ['ids', 'view', 'src', 'theme', 'palette', 'baseline', 'lang'];
+        }
+
+        constructor() {
+            super();
+            this.chart = null;          // This element's own Chart.js instance
+            this.renderQueued = false;
+            this.renderCount = 0;       // Lets a slow render notice a newer one started
+
+            const style = document.createElement('style');
+            style.textContent = STYLES;
+            this.body = document.createElement('div');
+            this.body.setAttribute('part', 'body');
+            this.attachShadow({ mode: 'open' }).append(style, this.body);
+        }
+
+        connectedCallback() {
+            this.scheduleRender();
+        }
+
+        disconnectedCallback() {
+            this.destroyChart();
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) this.scheduleRender();
+        }
+
+        /** Several attributes set in a row cause one render, not one each. */
+        scheduleRender() {
+            if (this.renderQueued) return;
+            this.renderQueued = true;
+            queueMicrotask(() => {
+                this.renderQueued = false;
+                this.render();
+            });
+        }
+
+        get ids() {
+            return (this.getAttribute('ids') || '').split(',').map(id => id.trim()).filter(Boolean);
+        }
+
+        get view() {
+            return VIEWS.includes(this.getAttribute('view')) ? this.getAttribute('view') : 'radar';
+        }
+
+        get datasetURL() {
+            const src = this.getAttribute('src');
+            return src ? new URL(src, document.baseURI).href : new URL('frameworks.json', SCRIPT_URL).href;
+        }
+
+        /** 'es-MX' → 'es' when there is no exact match; English otherwise. */
+        get locale() {
+            const lang = (this.closest('[lang]')?.getAttribute('lang') || '').trim();
+            return [lang, lang.split('-')[0]].find(code => code && LOCALES[code]) || 'en';
+        }
+
+        destroyChart() {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+        }
+
+        async render() {
+            const count = ++this.renderCount;
+            let frameworks;
+            try {
+                await loadDependencies();
+                frameworks = await loadDataset(this.datasetURL);
+            } catch (e) {
+                if (count !== this.renderCount) return;
+                console.error('<framework-compare>:', e);
+                this.destroyChart();
+                // locales.js itself may be what failed to load
+                const message = typeof LOCALES === 'undefined'
+                    ? 'Could not load the framework data.'
+                    : FrameworkEngine.createTranslator(LOCALES, this.locale).t('embed.loadError');
+                const alert = document.createElement('p');
+                alert.className = 'message';
+                alert.setAttribute('role', 'alert');
+                alert.textContent = message;
+                this.body.replaceChildren(alert);
+                return;
+            }
+            // Removed, or attributes changed again while loading
+            if (count !== this.renderCount || !this.isConnected) return;
+            this.draw(frameworks);
+        }
+
+        draw(frameworks) {
+            const { html, getChartThemeColors, buildRadarChartConfig, buildBarChartConfig, buildChartDataTableHTML, buildComparisonTableHTML } = FrameworkViews;
+            const i18n = FrameworkEngine.createTranslator(LOCALES, this.locale);
+            const { t } = i18n;
+            const ids = this.ids;
+            const picked = ids.map(id => frameworks.find(fw => fw.id === id)).filter(Boolean).map(i18n.localize);
+            const missing = ids.filter(id => !frameworks.some(fw => fw.id === id));
+
+            this.destroyChart();
+            if (!picked.length) {
+                this.body.innerHTML = html`<p class="message">${t('embed.noMatch', { ids: ids.join(', ') || '—' })}</p>`;
+                return;
+            }
+            const note = missing.length > 0 && html`<p class="note">${t('embed.missing', { ids: missing.join(', ') })}</p>`;
+
+            if (this.view === 'table') {
+                const baselineId = this.getAttribute('baseline');
+                this.body.innerHTML = html`
+                  <div class="table-wrap">
+                    <table class="comparison-table">${buildComparisonTableHTML(picked, { t, baselineId, icons: false })}</table>
+                  </div>
+                  ${note}`;
+                return;
+            }
+
+            const isRadar = this.view === 'radar';
+            const names = picked.map(fw => fw.name).join(', ');
+            const label = isRadar
+                ? t('chart.radarLabel', { names, count: FrameworkEngine.METRIC_KEYS.length })
+                : t('chart.barLabel', { names });
+            this.body.innerHTML = html`
+              <div class="chart-wrap"><canvas role="img" aria-label="${label}"></canvas></div>
+              ${note}
+              <details class="chart-data">
+                <summary>${t('dashboard.viewTable')}</summary>
+                ${buildChartDataTableHTML(picked, { t, caption: t(isRadar ? 'chart.radarData' : 'chart.barData') })}
+              </details>`;
+
+            const theme = getChartThemeColors(this.getAttribute('theme'));
+            const options = { t, palette: this.getAttribute('palette') === 'colorblind' ? 'colorblind' : 'brand' };
+            const config = isRadar ? buildRadarChartConfig(picked, theme, options) : buildBarChartConfig(picked, theme, options);
+            this.chart = new Chart(this.body.querySelector('canvas').getContext('2d'), config);
+        }
+    }
+
+    customElements.define('framework-compare', FrameworkCompare);
+})();
@@ -0,0 +1,903 @@
+/**
+ * ============================================================
+ * FrameWork Forge — locales.js
+ * UI string catalogues, one per locale (loaded before app.js;
+ * Node scripts require() it):
+ *  - Keys are flat and dotted ('grid.showing')
+ *  - {name} placeholders are filled in by t() / tn()
+ *  - Plural entries are { one, other, … } keyed by
+ *    Intl.PluralRules category; {count} is the number
+ *  - Strings rendered through tHTML() may carry inline
+ *    markup (<strong>); their parameters are still escaped
+ * Missing keys fall back to English, then to the key itself.
+ * Framework text (tagline, pros, cons, use cases) lives in
+ * the dataset under "translations", not here.
+ * ============================================================
+ */
+const LOCALES = {
+    en: {
+        name: 'English',
+        strings: {
+            /* ---- Page ---- */
+            'meta.title': 'FrameWork Forge — Web Development Framework Comparison System',
+            'meta.description': 'Compare web development frameworks like React, Angular, Vue, Django, Laravel, and Express.js with visual charts and smart recommendations.',
+            'locale.label': 'Language',
+
+            /* ---- Navigation ---- */
+            'nav.toggleTheme': 'Toggle Dark/Light Mode',
+            'nav.compareNow': 'Compare Now',
+            'nav.openMenu': 'Open menu',
+            'nav.closeMenu': 'Close menu',
+            'nav.home': 'Home',
+            'nav.select': 'Select Frameworks',
+            'nav.dashboard': 'Dashboard',
+            'nav.recommendation': 'Recommendation',
+            'nav.startComparing': 'Start Comparing',
+
+            /* ---- Hero + stats ---- */
+            'hero.badge': 'College Exhibition Project 2025',
+            'hero.titleLead': 'Find Your',
+            'hero.titleAccent': 'Perfect Framework',
+            'hero.desc': 'Compare React, Angular, Vue, Django, Laravel & Express.js with visual charts, performance scores, and smart AI-powered recommendations tailored for you.',
+            'hero.recommend': 'Get Recommendation',
+            'hero.scroll': 'Scroll to explore',
+            'stats.frameworks': 'Frameworks',
+            'stats.metrics': 'Metrics Tracked',
+            'stats.combinations': 'Combinations',
+            'stats.cost': 'Cost — 100% Free',
+
+            /* ---- Selection ---- */
+            'select.badge': 'STEP 1',
+            'select.title': 'Select Frameworks',
+            'select.desc': 'Choose 2 or more frameworks to compare them side by side.',
+            'select.clear': 'Clear All',
+            'select.add': 'Add framework',
+            'selection.count': { one: '{count} selected', other: '{count} selected' },
+            'selection.added': 'Added to comparison',
+            'selection.removed': 'Removed from comparison',
+            'selection.cleared': 'Selection cleared',
+            'selection.needTwo': 'Please select at least 2 frameworks.',
+            'selection.preselected': '{name} pre-selected. Pick more frameworks to compare!',
+            'selection.comparingStack': 'Comparing {names}',
+            'selection.shortcuts': 'Quick select',
+            'selection.selectType': 'Select all {type}',
+            'selection.addedType': { one: 'Added {count} {type} framework', other: 'Added {count} {type} frameworks' },
+            'selection.removedType': { one: 'Removed {count} {type} framework', other: 'Removed {count} {type} frameworks' },
+            'compare.button': 'Compare Selected Frameworks',
+            'compare.hint': 'Select at least 2 frameworks to enable comparison',
+
+            /* ---- Cards ---- */
+            'card.compare': 'Compare {name}',
+            'card.custom': 'Custom',
+            'card.details': 'Details',
+            'card.detailsFor': 'Details for {name}',
+
+            /* ---- Framework vocabulary ---- */
+            'metric.performance': 'Performance',
+            'metric.performance.short': 'Performance',
+            'metric.learningCurve': 'Ease of Learning',
+            'metric.learningCurve.short': 'Ease',
+            'metric.communitySupport': 'Community Support',
+            'metric.communitySupport.short': 'Community',
+            'metric.jobDemand': 'Job Demand',
+            'metric.jobDemand.short': 'Job',
+            'metric.scalability': 'Scalability',
+            'metric.scalability.short': 'Scalability',
+            'type.Frontend': 'Frontend',
+            'type.Backend': 'Backend',
+            'tag.backend': 'Backend',
+            'tag.beginner-friendly': 'Beginner friendly',
+            'tag.enterprise': 'Enterprise',
+            'tag.fast-development': 'Fast development',
+            'tag.full-stack': 'Full stack',
+            'tag.high-demand': 'High demand',
+            'tag.high-performance': 'High performance',
+            'tag.large-scale': 'Large scale',
+            'tag.lightweight': 'Lightweight',
+            'tag.real-time': 'Real time',
+            'tag.scalable': 'Scalable',
+            'tag.spa': 'SPA',
+            'tag.typescript': 'TypeScript',
+            'common.frameworks': { one: '{count} framework', other: '{count} frameworks' },
+            'common.copyLink': 'Copy link',
+            'common.points': '{points} pts',
+
+            /* ---- Data health + datasets ---- */
+            'dataHealth.summary': 'Data health: {parts}.',
+            'dataHealth.skipped': { one: '{count} entry skipped', other: '{count} entries skipped' },
+            'dataHealth.repaired': { one: '{count} field repaired', other: '{count} fields repaired' },
+            'dataHealth.action.skipped': 'skipped',
+            'dataHealth.action.repaired': 'repaired',
+            'dataHealth.dismiss': 'Dismiss data health notice',
+            'dataHealth.showDetails': 'Show details',
+            'dataHealth.customSource': 'Custom frameworks',
+            'offline.updateAvailable': 'Newer framework data is available.',
+            'offline.reload': 'Reload',
+            'offline.dismiss': 'Dismiss update notice',
+            'offline.unavailable': 'Could not load the built-in framework data. Visit once while online to use the app offline.',
+            'dataset.label': 'Dataset',
+            'dataset.default': 'Default (frameworks.json)',
+            'dataset.revert': 'Revert to default',
+            'dataset.remove': 'Remove',
+            'dataset.modeLabel': 'How to combine the loaded dataset',
+            'dataset.merge': 'Merge with built-in',
+            'dataset.replace': 'Replace built-in',
+            'dataset.load': 'Load dataset',
+            'dataset.source': 'Dataset "{name}"',
+            'dataset.optionMerged': '{name} — {count} merged',
+            'dataset.optionReplacing': '{name} — {count} replacing',
+            'dataset.tooLarge': 'Dataset is too large to remember — it will be gone after a reload.',
+            'dataset.invalidJson': '{file} is not valid JSON.',
+            'dataset.expectedArray': 'Expected an array of frameworks (or { "frameworks": [...] }).',
+            'dataset.noValid': 'No valid frameworks in {file}: {problem}',
+            'dataset.empty': 'file is empty',
+            'dataset.loadedMerged': 'Loaded "{name}": {frameworks}, merged',
+            'dataset.loadedReplaced': 'Loaded "{name}": {frameworks}, replaced',
+            'dataset.seeHealth': ' — see the data health notice',
+            'dataset.switched': 'Switched to "{name}"',
+            'dataset.backToDefault': 'Back to the default dataset',
+            'dataset.confirmRemove': 'Remove the "{name}" dataset from this browser?',
+            'dataset.removed': 'Removed "{name}"',
+
+            /* ---- Saved comparisons & recommendation history ---- */
+            'saved.title': 'Saved comparisons',
+            'saved.save': 'Save comparison',
+            'saved.namePrompt': 'Name this comparison:',
+            'saved.renamePrompt': 'Rename this comparison:',
+            'saved.saved': 'Saved "{name}"',
+            'saved.open': 'Open',
+            'saved.renameLabel': 'Rename "{name}"',
+            'saved.deleteLabel': 'Delete "{name}"',
+            'saved.confirmDelete': 'Delete the saved comparison "{name}"?',
+            'saved.deleted': 'Deleted "{name}"',
+            'saved.unavailable': 'Fewer than 2 frameworks from "{name}" are in the current dataset',
+            'saved.missing': { one: '"{name}": {count} framework is not in the current dataset', other: '"{name}": {count} frameworks are not in the current dataset' },
+            'saved.unavailableCount': { one: '{count} unavailable', other: '{count} unavailable' },
+            'history.title': 'Recommendation history',
+            'history.clear': 'Clear history',
+            'history.confirmClear': 'Clear the whole recommendation history?',
+            'history.cleared': 'Recommendation history cleared',
+            'history.runnersUp': 'runners-up: {names}',
+            'history.rerun': 'Re-run',
+            'history.deleteLabel': 'Delete this entry',
+            'history.sameWinner': 'Same winner with the current data',
+            'history.nowWinner': 'Now: {name}',
+            'history.unchanged': 'Still {name} with the current data',
+            'history.changed': 'The answer changed: {now} instead of {was}',
+            'history.noFrameworks': 'No frameworks to rank in the current dataset',
+
+            /* ---- Grid toolbar ---- */
+            'grid.searchPlaceholder': 'Search name, language, creator, tags…',
+            'grid.searchLabel': 'Search frameworks',
+            'grid.typeLabel': 'Filter by type',
+            'grid.allTypes': 'All types',
+            'grid.languageLabel': 'Filter by language',
+            'grid.allLanguages': 'All languages',
+            'grid.sortLabel': 'Sort by',
+            'grid.resetFilters': 'Reset filters',
+            'grid.showingAll': { one: 'Showing {count} framework', other: 'Showing all {count} frameworks' },
+            'grid.showing': { one: 'Showing {visible} of {count} framework', other: 'Showing {visible} of {count} frameworks' },
+            'grid.hiddenSelected': { one: '{count} selected hidden by filters', other: '{count} selected hidden by filters' },
+            'grid.emptyTitle': 'No frameworks match',
+            'grid.emptyDesc': 'Try a different search term or remove some filters. Your current selection is kept.',
+            'grid.viewLabel': 'Layout',
+            'grid.viewCards': 'Cards',
+            'grid.viewLeaderboard': 'Leaderboard',
+            'leaderboard.selectedOnly': 'Selected frameworks only',
+            'leaderboard.empty': 'No frameworks to rank yet. Select some or turn off "Selected frameworks only".',
+            'leaderboard.caption': 'Frameworks ranked by {metric}',
+            'leaderboard.rank': '#',
+            'leaderboard.compare': 'Compare',
+            'leaderboard.framework': 'Framework',
+            'leaderboard.avg': 'Avg',
+            'sort.default': 'Default order',
+            'sort.name': 'Name',
+            'sort.avg': 'Average Score',
+            'sort.year': 'Release Year',
+            'sort.asc': 'Ascending',
+            'sort.desc': 'Descending',
+            'sort.direction': 'Sort direction: {dir}',
+
+            /* ---- Dashboard ---- */
+            'dashboard.badge': 'STEP 2',
+            'dashboard.title': 'Comparison Dashboard',
+            'dashboard.desc': 'Visual side-by-side comparison with scores and metrics.',
+            'dashboard.metrics': 'Performance Metrics',
+            'dashboard.palette': 'Chart colours',
+            'dashboard.radar': 'Radar Overview',
+            'dashboard.bar': 'Score Breakdown',
+            'dashboard.trend': 'Score Trend',
+            'dashboard.viewTable': 'View data as a table',
+            'dashboard.table': 'Feature Comparison Table',
+            'dashboard.toRecommend': 'Get Smart Recommendation',
+            'dashboard.back': 'Change Selection',
+            'dashboard.report': 'Print / Save as PDF report',
+            'dashboard.average': 'Average Score / 100',
+            'h2h.title': 'Head-to-Head',
+            'h2h.baselineLabel': 'Compare against',
+            'h2h.noBaseline': 'No baseline',
+            'h2h.baseline': 'baseline',
+            'h2h.best': 'best',
+            'h2h.vsBaseline': '{delta} vs {name}',
+            'h2h.allTie': 'All frameworks tie on {metric}.',
+            'h2h.shareLead': '{names} share the lead on {metric}.',
+            'h2h.leads': { one: '{name} leads on {metric} by {count} point.', other: '{name} leads on {metric} by {count} points.' },
+            'h2h.overall': '{name} comes out ahead overall, beating {wins} of {count} rivals on more metrics than not.',
+            'h2h.matrixCaption': 'Pairwise record: metrics where the row framework scores higher or lower than the column framework',
+            'h2h.rowVsColumn': 'Row vs column',
+            'h2h.win': '{name} beats {other}: won {wins}, lost {losses}, tied {ties}',
+            'h2h.loss': '{name} loses to {other}: won {wins}, lost {losses}, tied {ties}',
+            'h2h.draw': '{name} and {other} are even: won {wins}, lost {losses}, tied {ties}',
+            'h2h.hint': 'Each cell shows the row framework\'s metric wins–losses against the column framework; ties in brackets.',
+            'trend.up': 'Rising: {delta} since {since}',
+            'trend.down': 'Falling: {delta} since {since}',
+            'trend.flat': 'Steady since {since}',
+            'trend.average': 'Average score',
+            'trend.now': 'Now',
+            'trend.date': 'Date',
+            'trend.metricLabel': 'Metric shown in the trend chart',
+            'trend.empty': 'None of the selected frameworks has score history yet.',
+            'palette.brand': 'Brand colours',
+            'palette.colorblind': 'Colour-blind safe',
+            'chart.radarLabel': 'Radar chart of {names} across {count} metrics. Data table below.',
+            'chart.barLabel': 'Bar chart of {names} scores per metric. Data table below.',
+            'chart.radarData': 'Radar overview data',
+            'chart.barData': 'Score breakdown data',
+            'chart.trendLabel': 'Line chart of {names}: {metric} over time. Data table below.',
+            'chart.trendData': 'Score trend data',
+            'chart.metric': 'Metric',
+            'chart.alt.radar': 'Radar chart',
+            'chart.alt.bar': 'Bar chart',
+            'chart.limitLabel': 'Draw',
+            'chart.limitAll': 'All selected',
+            'chart.limitTop': { one: 'Top {count} by average', other: 'Top {count} by average' },
+            'chart.seriesLabel': 'Frameworks shown in the charts',
+            'chart.seriesShown': { one: '{visible} of {count} shown', other: '{visible} of {count} shown' },
+            'embed.loadError': 'Could not load the framework data.',
+            'embed.noMatch': 'No frameworks match "{ids}".',
+            'embed.missing': 'Not in this dataset: {ids}',
+            'table.type': 'Type',
+            'table.language': 'Language',
+            'table.creator': 'Creator',
+            'table.year': 'Year',
+            'table.avg': '⭐ Avg Score',
+
+            /* ---- Export + report ---- */
+            'export.button': 'Export',
+            'export.csv': 'CSV (fields & scores)',
+            'export.json': 'JSON (fields & scores)',
+            'export.markdown': 'Markdown table',
+            'export.radar': 'Radar chart (PNG)',
+            'export.bar': 'Bar chart (PNG)',
+            'export.trend': 'Trend chart (PNG)',
+            'export.needTwo': 'Select at least 2 frameworks to export.',
+            'export.done': 'Exported {format}',
+            'export.needCharts': 'Open the dashboard to render the charts first.',
+            'export.chartDownloaded': 'Chart image downloaded',
+            'report.dialog': 'Printable comparison report',
+            'report.preview': 'Report preview',
+            'report.print': 'Print / Save as PDF',
+            'report.close': 'Close',
+            'report.needTwo': 'Select at least 2 frameworks to build a report.',
+            'report.title': 'Framework Comparison Report',
+            'report.averages': 'Average Scores',
+            'report.details': 'Framework Details',
+            'report.latest': 'Latest Recommendation',
+
+            /* ---- Quiz ---- */
+            'recommend.badge': 'SMART AI',
+            'recommend.title': 'Smart Recommendation',
+            'recommend.desc': "Answer a few quick questions — we'll instantly find your perfect framework match.",
+            'recommend.progress': 'Questions answered',
+            'recommend.generate': 'Generate My Recommendation',
+            'recommend.hint': 'Optional questions can be skipped, but each one sharpens the result',
+            'quiz.optional': 'Optional',
+
+            /* ---- Recommendation result ---- */
+            'rec.needRequired': 'Please answer: {questions}.',
+            'rec.noQuestions': 'The questionnaire is not available — check your connection and reload.',
+            'rec.noPairs': 'No frontend + backend pairs in this dataset — showing single frameworks.',
+            'rec.bestMatch': 'Best Match For You',
+            'rec.alsoConsider': 'Also consider',
+            'rec.learnMore': 'Learn More About {name}',
+            'rec.compare': 'Compare {name}',
+            'rec.bestStack': 'Best Stack For You',
+            'rec.stackMeta': '{front} frontend · {back} backend · {points} pts',
+            'rec.otherStacks': 'Other strong stacks',
+            'rec.compareStack': 'Compare this stack',
+            'rec.source.tag': 'Tag: {tags}',
+            'rec.source.type': 'Type: {type}',
+            'rec.source.bonus': 'Framework bonus',
+            'rec.detail.hasTag': 'has {tag}',
+            'rec.detail.typeMatch': 'type match',
+            'rec.source.language': 'Language: {language}',
+            'rec.detail.languageMatch': 'language match',
+            'rec.source.momentum': '{metric} trend',
+            'rec.detail.momentum': '{delta} since {since} × {weight} × {factor}',
+            'explain.level.beginner': 'a beginner',
+            'explain.level.intermediate': 'an intermediate developer',
+            'explain.level.advanced': 'an advanced developer',
+            'explain.scale.small': 'a small personal project',
+            'explain.scale.medium': 'a medium-scale startup project',
+            'explain.scale.large': 'a large enterprise application',
+            'explain.priority.speed': 'fast development speed',
+            'explain.priority.performance': 'high performance',
+            'explain.priority.jobs': 'strong job market opportunities',
+            'explain.type.frontend': 'frontend UI',
+            'explain.type.backend': 'backend API',
+            'explain.type.fullstack': 'a fullstack',
+            'explain.learning.easy': 'easy learning curve',
+            'explain.learning.powerful': 'powerful capabilities',
+            'explain.demand.strong': 'strong industry demand',
+            'explain.demand.community': 'solid community support',
+            'explain.scalability.enterprise': 'enterprise-grade scalability',
+            'explain.scalability.reliable': 'reliable performance',
+            'explain.single': 'As {level} building {type} for {scale} with a focus on <strong>{priority}</strong>, <strong>{name}</strong> scores highest across all your preferences. It offers an excellent balance of {learning}, {demand}, and {scalability}.',
+            'explain.singleGeneric': 'Based on your answers, <strong>{name}</strong> scores highest across all your preferences. It offers an excellent balance of {learning}, {demand}, and {scalability}.',
+            'explain.stackGeneric': 'Based on your answers, pairing <strong>{front}</strong> ({frontPoints} pts) on the frontend with <strong>{back}</strong> ({backPoints} pts) on the backend gives the strongest combination. {closing}',
+            'explain.stack': 'As {level} building a fullstack app for {scale} with a focus on <strong>{priority}</strong>, pairing <strong>{front}</strong> ({frontPoints} pts) on the frontend with <strong>{back}</strong> ({backPoints} pts) on the backend gives the strongest combination. {closing}',
+            'explain.stackAffinities': 'The pair also works well together: {list}.',
+            'explain.stackEach': 'Each half was the best fit for its side of the stack.',
+            'chip.beginner': 'Beginner Friendly',
+            'chip.enterprise': 'Enterprise Grade',
+            'chip.scalable': 'Highly Scalable',
+            'chip.performance': 'High Performance',
+            'chip.jobs': 'Strong Job Market',
+            'chip.community': 'Great Community',
+            'chip.frontend': 'Frontend Native',
+            'chip.backend': 'Backend Native',
+            'breakdown.summary': 'Why this ranking? Score breakdown',
+            'breakdown.stackSummary': 'Why this stack? Score breakdown',
+            'breakdown.rules': 'Rule contributions',
+            'breakdown.rule': 'Rule',
+            'breakdown.appliesTo': 'Applies to',
+            'breakdown.total': 'Total',
+            'breakdown.fullRanking': 'Full ranking',
+            'breakdown.winner': 'Winner',
+            'breakdown.behind': '{points} behind',
+            'breakdown.pairs': 'Pair contributions',
+            'breakdown.component': 'Component',
+            'breakdown.frontendScore': 'Frontend score',
+            'breakdown.backendScore': 'Backend score',
+            'breakdown.allStacks': 'All stacks',
+
+            /* ---- Sensitivity ---- */
+            'sense.title': 'How close was it?',
+            'sense.margin': '<strong>{name}</strong> leads <strong>{runnerUp}</strong> by {points}.',
+            'sense.tie': '<strong>{name}</strong> and <strong>{runnerUp}</strong> are tied; {name} is shown first only because it comes first in the data.',
+            'sense.alone': 'There is only one candidate, so there is nothing to compare it with.',
+            'sense.tieBadge': 'Tie',
+            'sense.nearTieBadge': 'Near tie',
+            'sense.nearTieHint': 'That is within {points} points, so a small change to your answers or weights could swap them.',
+            'sense.flipsTitle': 'What would change the winner',
+            'sense.flip': 'If you answered <strong>{answer}</strong> to “{question}”, <strong>{name}</strong> would win.',
+            'sense.moreFlips': { one: '…and {count} more change. See the matrix below.', other: '…and {count} more changes. See the matrix below.' },
+            'sense.noFlips': 'No single answer change would change the winner, so this is a robust pick.',
+            'sense.matrixSummary': 'Answer-by-winner matrix',
+            'sense.matrixHint': 'Who wins if you change just one answer and keep the rest. Your answers are highlighted.',
+            'sense.cellMargin': 'by {points}',
+            'sense.yourAnswer': 'your answer',
+            'sense.differentWinner': 'different winner',
+            'sense.needsMore': 'Needs more answers',
+            'sense.leadText': 'Lead over {runnerUp}: {points}',
+            'sense.flipsText': 'Single answer changes that would change the winner:',
+
+            /* ---- Weights ---- */
+            'weights.summary': 'Advanced: adjust scoring weights',
+            'weights.reset': 'Reset to defaults',
+            'weights.metrics': 'Metric multipliers',
+            'weights.tags': 'Tag bonuses',
+            'weights.projectType': 'Project type',
+            'weights.typeMatch': 'Matches your project type',
+            'weights.typeMismatch': 'Other side of the stack',
+            'weights.trends': 'Trends',
+            'weights.momentum': 'Momentum (reward rising scores)',
+            'weights.or': ' or ',
+            'weights.statusCustom': 'Custom weights active — saved in this browser.',
+            'weights.statusDefault': 'Built-in weights for your current answers. Move a slider to customise.',
+            'weights.resetDone': 'Weights reset to built-in defaults',
+            'weights.rule': 'Custom weights',
+
+            /* ---- Detail modal + custom framework form ---- */
+            'modal.close': 'Close dialog',
+            'modal.since': 'Since {year}',
+            'modal.scores': '📊 Scores',
+            'modal.add': 'Add to Comparison',
+            'modal.edit': 'Edit',
+            'modal.delete': 'Delete',
+            'notes.useCases': '🎯 Best Use Cases',
+            'notes.pros': '✅ Pros',
+            'notes.cons': '❌ Cons',
+            'form.editTitle': 'Edit framework',
+            'form.addTitle': 'Add a framework',
+            'form.intro': 'Custom frameworks are saved in this browser and work everywhere the built-in ones do.',
+            'form.name': 'Name *',
+            'form.type': 'Type *',
+            'form.language': 'Language *',
+            'form.languagePlaceholder': 'e.g. TypeScript',
+            'form.creator': 'Creator',
+            'form.year': 'Year',
+            'form.color': 'Colour',
+            'form.icon': 'Icon (Font Awesome class)',
+            'form.tagline': 'Tagline',
+            'form.scores': '📊 Scores (0–100)',
+            'form.details': '📝 Details',
+            'form.onePerLine': 'one per line',
+            'form.useCases': 'Best use cases',
+            'form.pros': 'Pros',
+            'form.cons': 'Cons',
+            'form.tags': 'Tags',
+            'form.tagsHint': 'comma separated, e.g. beginner-friendly, high-demand',
+            'form.save': 'Save changes',
+            'form.add': 'Add framework',
+            'form.cancel': 'Cancel',
+            'form.error.name': 'Please give the framework a name.',
+            'form.error.language': 'Please enter the main language.',
+            'form.error.type': 'Type must be {types}.',
+            'form.error.nameTaken': 'A framework called "{name}" already exists.',
+            'form.error.score': '{metric} must be a whole number from 0 to 100.',
+            'form.error.year': 'Year must be between 1970 and 2100.',
+            'form.updated': '{name} updated',
+            'form.added': '{name} added',
+            'form.confirmDelete': 'Delete "{name}"? This cannot be undone.',
+            'form.deleted': '{name} deleted',
+
+            /* ---- Links ---- */
+            'link.partlyRestored': 'Link partly restored: {problems}.',
+            'link.unknown': { one: 'unknown framework {ids}', other: 'unknown frameworks {ids}' },
+            'link.invalidAnswer': 'invalid {question} "{value}"',
+            'link.notEnough': 'not enough frameworks to open the dashboard',
+            'link.badBaseline': 'baseline "{id}" is not in the comparison',
+            'link.copyFailed': 'Could not copy — copy the address bar instead.',
+            'link.copied': 'Link copied to clipboard',
+
+            /* ---- Footer ---- */
+            'footer.desc': 'Built with ❤️ for college exhibition. 100% free, no backend, open-source ready.',
+            'footer.pages': 'GitHub Pages Ready',
+        },
+    },
+
+    es: {
+        name: 'Español',
+        strings: {
+            /* ---- Page ---- */
+            'meta.title': 'FrameWork Forge — Sistema de comparación de frameworks web',
+            'meta.description': 'Compara frameworks de desarrollo web como React, Angular, Vue, Django, Laravel y Express.js con gráficos y recomendaciones inteligentes.',
+            'locale.label': 'Idioma',
+
+            /* ---- Navigation ---- */
+            'nav.toggleTheme': 'Cambiar modo oscuro/claro',
+            'nav.compareNow': 'Comparar ahora',
+            'nav.openMenu': 'Abrir menú',
+            'nav.closeMenu': 'Cerrar menú',
+            'nav.home': 'Inicio',
+            'nav.select': 'Elegir frameworks',
+            'nav.dashboard': 'Panel',
+            'nav.recommendation': 'Recomendación',
+            'nav.startComparing': 'Empezar a comparar',
+
+            /* ---- Hero + stats ---- */
+            'hero.badge': 'Proyecto de exposición universitaria 2025',
+            'hero.titleLead': 'Encuentra tu',
+            'hero.titleAccent': 'framework ideal',
+            'hero.desc': 'Compara React, Angular, Vue, Django, Laravel y Express.js con gráficos, puntuaciones de rendimiento y recomendaciones inteligentes adaptadas a ti.',
+            'hero.recommend': 'Obtener recomendación',
+            'hero.scroll': 'Desplázate para explorar',
+            'stats.frameworks': 'Frameworks',
+            'stats.metrics': 'Métricas evaluadas',
+            'stats.combinations': 'Combinaciones',
+            'stats.cost': 'Coste: 100 % gratis',
+
+            /* ---- Selection ---- */
+            'select.badge': 'PASO 1',
+            'select.title': 'Elige frameworks',
+            'select.desc': 'Elige 2 o más frameworks para compararlos lado a lado.',
+            'select.clear': 'Borrar todo',
+            'select.add': 'Añadir framework',
+            'selection.count': { one: '{count} seleccionado', other: '{count} seleccionados' },
+            'selection.added': 'Añadido a la comparación',
+            'selection.removed': 'Quitado de la comparación',
+            'selection.cleared': 'Selección borrada',
+            'selection.needTwo': 'Selecciona al menos 2 frameworks.',
+            'selection.preselected': '{name} preseleccionado. ¡Elige más frameworks para comparar!',
+            'selection.comparingStack': 'Comparando {names}',
+            'selection.shortcuts': 'Selección rápida',
+            'selection.selectType': 'Seleccionar todos: {type}',
+            'selection.addedType': { one: 'Añadido {count} framework {type}', other: 'Añadidos {count} frameworks {type}' },
+            'selection.removedType': { one: 'Quitado {count} framework {type}', other: 'Quitados {count} frameworks {type}' },
+            'compare.button': 'Comparar seleccionados',
+            'compare.hint': 'Selecciona al menos 2 frameworks para poder compararlos',
+
+            /* ---- Cards ---- */
+            'card.compare': 'Comparar {name}',
+            'card.custom': 'Personalizado',
+            'card.details': 'Detalles',
+            'card.detailsFor': 'Detalles de {name}',
+
+            /* ---- Framework vocabulary ---- */
+            'metric.performance': 'Rendimiento',
+            'metric.performance.short': 'Rendimiento',
+            'metric.learningCurve': 'Facilidad de aprendizaje',
+            'metric.learningCurve.short': 'Facilidad',
+            'metric.communitySupport': 'Apoyo de la comunidad',
+            'metric.communitySupport.short': 'Comunidad',
+            'metric.jobDemand': 'Demanda laboral',
+            'metric.jobDemand.short': 'Empleo',
+            'metric.scalability': 'Escalabilidad',
+            'metric.scalability.short': 'Escalabilidad',
+            'type.Frontend': 'Frontend',
+            'type.Backend': 'Backend',
+            'tag.backend': 'Backend',
+            'tag.beginner-friendly': 'Para principiantes',
+            'tag.enterprise': 'Empresarial',
+            'tag.fast-development': 'Desarrollo rápido',
+            'tag.full-stack': 'Full stack',
+            'tag.high-demand': 'Alta demanda',
+            'tag.high-performance': 'Alto rendimiento',
+            'tag.large-scale': 'Gran escala',
+            'tag.lightweight': 'Ligero',
+            'tag.real-time': 'Tiempo real',
+            'tag.scalable': 'Escalable',
+            'tag.spa': 'SPA',
+            'tag.typescript': 'TypeScript',
+            'common.frameworks': { one: '{count} framework', other: '{count} frameworks' },
+            'common.copyLink': 'Copiar enlace',
+            'common.points': '{points} ptos',
+
+            /* ---- Data health + datasets ---- */
+            'dataHealth.summary': 'Estado de los datos: {parts}.',
+            'dataHealth.skipped': { one: '{count} entrada omitida', other: '{count} entradas omitidas' },
+            'dataHealth.repaired': { one: '{count} campo reparado', other: '{count} campos reparados' },
+            'dataHealth.action.skipped': 'omitida',
+            'dataHealth.action.repaired': 'reparado',
+            'dataHealth.dismiss': 'Cerrar el aviso sobre los datos',
+            'dataHealth.showDetails': 'Mostrar detalles',
+            'dataHealth.customSource': 'Frameworks personalizados',
+            'offline.updateAvailable': 'Hay datos de frameworks más recientes.',
+            'offline.reload': 'Recargar',
+            'offline.dismiss': 'Descartar aviso de actualización',
+            'offline.unavailable': 'No se pudieron cargar los datos de frameworks incluidos. Visita la app una vez con conexión para usarla sin conexión.',
+            'dataset.label': 'Conjunto de datos',
+            'dataset.default': 'Predeterminado (frameworks.json)',
+            'dataset.revert': 'Volver al predeterminado',
+            'dataset.remove': 'Eliminar',
+            'dataset.modeLabel': 'Cómo combinar el conjunto cargado',
+            'dataset.merge': 'Combinar con los integrados',
+            'dataset.replace': 'Sustituir los integrados',
+            'dataset.load': 'Cargar datos',
+            'dataset.source': 'Conjunto "{name}"',
+            'dataset.optionMerged': '{name} — {count} combinados',
+            'dataset.optionReplacing': '{name} — {count} sustituyendo',
+            'dataset.tooLarge': 'El conjunto es demasiado grande para guardarlo: desaparecerá al recargar.',
+            'dataset.invalidJson': '{file} no es un JSON válido.',
+            'dataset.expectedArray': 'Se esperaba una lista de frameworks (o { "frameworks": [...] }).',
+            'dataset.noValid': 'No hay frameworks válidos en {file}: {problem}',
+            'dataset.empty': 'el archivo está vacío',
+            'dataset.loadedMerged': 'Cargado "{name}": {frameworks}, combinados',
+            'dataset.loadedReplaced': 'Cargado "{name}": {frameworks}, sustituidos',
+            'dataset.seeHealth': ' — consulta el aviso sobre los datos',
+            'dataset.switched': 'Cambiado a "{name}"',
+            'dataset.backToDefault': 'De vuelta al conjunto predeterminado',
+            'dataset.confirmRemove': '¿Eliminar el conjunto "{name}" de este navegador?',
+            'dataset.removed': '"{name}" eliminado',
+
+            /* ---- Saved comparisons & recommendation history ---- */
+            'saved.title': 'Comparaciones guardadas',
+            'saved.save': 'Guardar comparación',
+            'saved.namePrompt': 'Pon nombre a esta comparación:',
+            'saved.renamePrompt': 'Cambia el nombre de esta comparación:',
+            'saved.saved': '"{name}" guardada',
+            'saved.open': 'Abrir',
+            'saved.renameLabel': 'Renombrar "{name}"',
+            'saved.deleteLabel': 'Eliminar "{name}"',
+            'saved.confirmDelete': '¿Eliminar la comparación guardada "{name}"?',
+            'saved.deleted': '"{name}" eliminada',
+            'saved.unavailable': 'Menos de 2 frameworks de "{name}" están en el conjunto actual',
+            'saved.missing': { one: '"{name}": {count} framework no está en el conjunto actual', other: '"{name}": {count} frameworks no están en el conjunto actual' },
+            'saved.unavailableCount': { one: '{count} no disponible', other: '{count} no disponibles' },
+            'history.title': 'Historial de recomendaciones',
+            'history.clear': 'Borrar historial',
+            'history.confirmClear': '¿Borrar todo el historial de recomendaciones?',
+            'history.cleared': 'Historial de recomendaciones borrado',
+            'history.runnersUp': 'alternativas: {names}',
+            'history.rerun': 'Repetir',
+            'history.deleteLabel': 'Eliminar esta entrada',
+            'history.sameWinner': 'Mismo ganador con los datos actuales',
+            'history.nowWinner': 'Ahora: {name}',
+            'history.unchanged': 'Sigue siendo {name} con los datos actuales',
+            'history.changed': 'La respuesta ha cambiado: {now} en lugar de {was}',
+            'history.noFrameworks': 'No hay frameworks que clasificar en el conjunto actual',
+
+            /* ---- Grid toolbar ---- */
+            'grid.searchPlaceholder': 'Busca por nombre, lenguaje, creador, etiquetas…',
+            'grid.searchLabel': 'Buscar frameworks',
+            'grid.typeLabel': 'Filtrar por tipo',
+            'grid.allTypes': 'Todos los tipos',
+            'grid.languageLabel': 'Filtrar por lenguaje',
+            'grid.allLanguages': 'Todos los lenguajes',
+            'grid.sortLabel': 'Ordenar por',
+            'grid.resetFilters': 'Quitar filtros',
+            'grid.showingAll': { one: 'Mostrando {count} framework', other: 'Mostrando los {count} frameworks' },
+            'grid.showing': { one: 'Mostrando {visible} de {count} framework', other: 'Mostrando {visible} de {count} frameworks' },
+            'grid.hiddenSelected': { one: '{count} seleccionado oculto por los filtros', other: '{count} seleccionados ocultos por los filtros' },
+            'grid.emptyTitle': 'Ningún framework coincide',
+            'grid.emptyDesc': 'Prueba con otra búsqueda o quita algunos filtros. Tu selección actual se conserva.',
+            'grid.viewLabel': 'Vista',
+            'grid.viewCards': 'Tarjetas',
+            'grid.viewLeaderboard': 'Clasificación',
+            'leaderboard.selectedOnly': 'Solo los frameworks seleccionados',
+            'leaderboard.empty': 'Aún no hay frameworks que clasificar. Selecciona algunos o desactiva «Solo los frameworks seleccionados».',
+            'leaderboard.caption': 'Frameworks ordenados por {metric}',
+            'leaderboard.rank': '#',
+            'leaderboard.compare': 'Comparar',
+            'leaderboard.framework': 'Framework',
+            'leaderboard.avg': 'Media',
+            'sort.default': 'Orden predeterminado',
+            'sort.name': 'Nombre',
+            'sort.avg': 'Puntuación media',
+            'sort.year': 'Año de lanzamiento',
+            'sort.asc': 'Ascendente',
+            'sort.desc': 'Descendente',
+            'sort.direction': 'Sentido del orden: {dir}',
+
+            /* ---- Dashboard ---- */
+            'dashboard.badge': 'PASO 2',
+            'dashboard.title': 'Panel de comparación',
+            'dashboard.desc': 'Comparación visual lado a lado con puntuaciones y métricas.',
+            'dashboard.metrics': 'Métricas de rendimiento',
+            'dashboard.palette': 'Colores del gráfico',
+            'dashboard.radar': 'Vista radar',
+            'dashboard.bar': 'Desglose de puntuaciones',
+            'dashboard.trend': 'Tendencia de puntuaciones',
+            'dashboard.viewTable': 'Ver los datos como tabla',
+            'dashboard.table': 'Tabla comparativa de características',
+            'dashboard.toRecommend': 'Obtener recomendación inteligente',
+            'dashboard.back': 'Cambiar selección',
+            'dashboard.report': 'Imprimir / guardar informe en PDF',
+            'dashboard.average': 'Puntuación media / 100',
+            'h2h.title': 'Cara a cara',
+            'h2h.baselineLabel': 'Comparar con',
+            'h2h.noBaseline': 'Sin referencia',
+            'h2h.baseline': 'referencia',
+            'h2h.best': 'mejor',
+            'h2h.vsBaseline': '{delta} frente a {name}',
+            'h2h.allTie': 'Todos los frameworks empatan en {metric}.',
+            'h2h.shareLead': '{names} comparten el liderazgo en {metric}.',
+            'h2h.leads': { one: '{name} lidera en {metric} por {count} punto.', other: '{name} lidera en {metric} por {count} puntos.' },
+            'h2h.overall': '{name} sale ganando en conjunto: supera a {wins} de {count} rivales en más métricas de las que pierde.',
+            'h2h.matrixCaption': 'Balance por parejas: métricas en las que el framework de la fila puntúa más o menos que el de la columna',
+            'h2h.rowVsColumn': 'Fila frente a columna',
+            'h2h.win': '{name} gana a {other}: a favor {wins}, en contra {losses}, empates {ties}',
+            'h2h.loss': '{name} pierde ante {other}: a favor {wins}, en contra {losses}, empates {ties}',
+            'h2h.draw': '{name} y {other} están igualados: a favor {wins}, en contra {losses}, empates {ties}',
+            'h2h.hint': 'Cada celda muestra las victorias–derrotas por métrica del framework de la fila frente al de la columna; empates entre paréntesis.',
+            'trend.up': 'Al alza: {delta} desde {since}',
+            'trend.down': 'A la baja: {delta} desde {since}',
+            'trend.flat': 'Estable desde {since}',
+            'trend.average': 'Puntuación media',
+            'trend.now': 'Ahora',
+            'trend.date': 'Fecha',
+            'trend.metricLabel': 'Métrica del gráfico de tendencia',
+            'trend.empty': 'Ninguno de los frameworks seleccionados tiene historial de puntuaciones todavía.',
+            'palette.brand': 'Colores de marca',
+            'palette.colorblind': 'Apto para daltonismo',
+            'chart.radarLabel': 'Gráfico radar de {names} en {count} métricas. Tabla de datos a continuación.',
+            'chart.barLabel': 'Gráfico de barras de las puntuaciones de {names} por métrica. Tabla de datos a continuación.',
+            'chart.radarData': 'Datos de la vista radar',
+            'chart.barData': 'Datos del desglose de puntuaciones',
+            'chart.trendLabel': 'Gráfico de líneas de {names}: {metric} a lo largo del tiempo. Tabla de datos a continuación.',
+            'chart.trendData': 'Datos de la tendencia de puntuaciones',
+            'chart.metric': 'Métrica',
+            'chart.alt.radar': 'Gráfico radar',
+            'chart.alt.bar': 'Gráfico de barras',
+            'chart.limitLabel': 'Dibujar',
+            'chart.limitAll': 'Todos los seleccionados',
+            'chart.limitTop': { one: 'Los {count} mejores por media', other: 'Los {count} mejores por media' },
+            'chart.seriesLabel': 'Frameworks mostrados en los gráficos',
+            'chart.seriesShown': { one: '{visible} de {count} visible', other: '{visible} de {count} visibles' },
+            'embed.loadError': 'No se pudieron cargar los datos de los frameworks.',
+            'embed.noMatch': 'Ningún framework coincide con «{ids}».',
+            'embed.missing': 'No están en este conjunto de datos: {ids}',
+            'table.type': 'Tipo',
+            'table.language': 'Lenguaje',
+            'table.creator': 'Creador',
+            'table.year': 'Año',
+            'table.avg': '⭐ Media',
+
+            /* ---- Export + report ---- */
+            'export.button': 'Exportar',
+            'export.csv': 'CSV (campos y puntuaciones)',
+            'export.json': 'JSON (campos y puntuaciones)',
+            'export.markdown': 'Tabla Markdown',
+            'export.radar': 'Gráfico radar (PNG)',
+            'export.bar': 'Gráfico de barras (PNG)',
+            'export.trend': 'Gráfico de tendencia (PNG)',
+            'export.needTwo': 'Selecciona al menos 2 frameworks para exportar.',
+            'export.done': '{format} exportado',
+            'export.needCharts': 'Abre el panel para dibujar los gráficos primero.',
+            'export.chartDownloaded': 'Imagen del gráfico descargada',
+            'report.dialog': 'Informe de comparación imprimible',
+            'report.preview': 'Vista previa del informe',
+            'report.print': 'Imprimir / guardar en PDF',
+            'report.close': 'Cerrar',
+            'report.needTwo': 'Selecciona al menos 2 frameworks para crear un informe.',
+            'report.title': 'Informe de comparación de frameworks',
+            'report.averages': 'Puntuaciones medias',
+            'report.details': 'Detalles de los frameworks',
+            'report.latest': 'Última recomendación',
+
+            /* ---- Quiz ---- */
+            'recommend.badge': 'IA INTELIGENTE',
+            'recommend.title': 'Recomendación inteligente',
+            'recommend.desc': 'Responde unas preguntas rápidas y encontraremos al instante tu framework ideal.',
+            'recommend.progress': 'Preguntas respondidas',
+            'recommend.generate': 'Generar mi recomendación',
+            'recommend.hint': 'Puedes saltarte las preguntas opcionales, pero cada una afina el resultado',
+            'quiz.optional': 'Opcional',
+
+            /* ---- Recommendation result ---- */
+            'rec.needRequired': 'Responde: {questions}.',
+            'rec.noQuestions': 'El cuestionario no está disponible: comprueba la conexión y recarga.',
+            'rec.noPairs': 'Este conjunto no tiene parejas frontend + backend: se muestran frameworks individuales.',
+            'rec.bestMatch': 'Tu mejor opción',
+            'rec.alsoConsider': 'Considera también',
+            'rec.learnMore': 'Más sobre {name}',
+            'rec.compare': 'Comparar {name}',
+            'rec.bestStack': 'Tu mejor stack',
+            'rec.stackMeta': 'frontend en {front} · backend en {back} · {points} ptos',
+            'rec.otherStacks': 'Otros stacks destacados',
+            'rec.compareStack': 'Comparar este stack',
+            'rec.source.tag': 'Etiqueta: {tags}',
+            'rec.source.type': 'Tipo: {type}',
+            'rec.source.bonus': 'Bonificación del framework',
+            'rec.detail.hasTag': 'tiene {tag}',
+            'rec.detail.typeMatch': 'tipo coincidente',
+            'rec.source.language': 'Lenguaje: {language}',
+            'rec.detail.languageMatch': 'lenguaje coincidente',
+            'rec.source.momentum': 'Tendencia de {metric}',
+            'rec.detail.momentum': '{delta} desde {since} × {weight} × {factor}',
+            'explain.level.beginner': 'principiante',
+            'explain.level.intermediate': 'desarrollador de nivel intermedio',
+            'explain.level.advanced': 'desarrollador avanzado',
+            'explain.scale.small': 'un proyecto personal pequeño',
+            'explain.scale.medium': 'un proyecto de startup de tamaño medio',
+            'explain.scale.large': 'una gran aplicación empresarial',
+            'explain.priority.speed': 'la rapidez de desarrollo',
+            'explain.priority.performance': 'el alto rendimiento',
+            'explain.priority.jobs': 'las oportunidades laborales',
+            'explain.type.frontend': 'una interfaz frontend',
+            'explain.type.backend': 'una API backend',
+            'explain.type.fullstack': 'una app full stack',
+            'explain.learning.easy': 'una curva de aprendizaje sencilla',
+            'explain.learning.powerful': 'capacidades potentes',
+            'explain.demand.strong': 'una fuerte demanda en la industria',
+            'explain.demand.community': 'una comunidad sólida',
+            'explain.scalability.enterprise': 'escalabilidad de nivel empresarial',
+            'explain.scalability.reliable': 'un rendimiento fiable',
+            'explain.single': 'Como {level} que crea {type} para {scale} y da prioridad a <strong>{priority}</strong>, <strong>{name}</strong> obtiene la mejor puntuación según tus preferencias. Ofrece un gran equilibrio entre {learning}, {demand} y {scalability}.',
+            'explain.singleGeneric': 'Según tus respuestas, <strong>{name}</strong> obtiene la mejor puntuación según tus preferencias. Ofrece un gran equilibrio entre {learning}, {demand} y {scalability}.',
+            'explain.stackGeneric': 'Según tus respuestas, combinar <strong>{front}</strong> ({frontPoints} ptos) en el frontend con <strong>{back}</strong> ({backPoints} ptos) en el backend da la combinación más fuerte. {closing}',
+            'explain.stack': 'Como {level} que crea una app full stack para {scale} y da prioridad a <strong>{priority}</strong>, combinar <strong>{front}</strong> ({frontPoints} ptos) en el frontend con <strong>{back}</strong> ({backPoints} ptos) en el backend da la combinación más fuerte. {closing}',
+            'explain.stackAffinities': 'Además, la pareja funciona bien junta: {list}.',
+            'explain.stackEach': 'Cada mitad era la mejor opción para su parte del stack.',
+            'chip.beginner': 'Para principiantes',
+            'chip.enterprise': 'Nivel empresarial',
+            'chip.scalable': 'Muy escalable',
+            'chip.performance': 'Alto rendimiento',
+            'chip.jobs': 'Buen mercado laboral',
+            'chip.community': 'Gran comunidad',
+            'chip.frontend': 'Nativo frontend',
+            'chip.backend': 'Nativo backend',
+            'breakdown.summary': '¿Por qué este orden? Desglose de puntuación',
+            'breakdown.stackSummary': '¿Por qué este stack? Desglose de puntuación',
+            'breakdown.rules': 'Aportación de cada regla',
+            'breakdown.rule': 'Regla',
+            'breakdown.appliesTo': 'Se aplica a',
+            'breakdown.total': 'Total',
+            'breakdown.fullRanking': 'Clasificación completa',
+            'breakdown.winner': 'Ganador',
+            'breakdown.behind': '{points} por detrás',
+            'breakdown.pairs': 'Aportación de cada pareja',
+            'breakdown.component': 'Componente',
+            'breakdown.frontendScore': 'Puntuación frontend',
+            'breakdown.backendScore': 'Puntuación backend',
+            'breakdown.allStacks': 'Todos los stacks',
+
+            /* ---- Sensitivity ---- */
+            'sense.title': '¿Qué tan reñido estuvo?',
+            'sense.margin': '<strong>{name}</strong> supera a <strong>{runnerUp}</strong> por {points}.',
+            'sense.tie': '<strong>{name}</strong> y <strong>{runnerUp}</strong> están empatados; {name} aparece primero solo porque va antes en los datos.',
+            'sense.alone': 'Solo hay un candidato, así que no hay con qué compararlo.',
+            'sense.tieBadge': 'Empate',
+            'sense.nearTieBadge': 'Casi empate',
+            'sense.nearTieHint': 'La diferencia es de {points} puntos o menos, así que un pequeño cambio en tus respuestas o en los pesos podría invertirlos.',
+            'sense.flipsTitle': 'Qué cambiaría el ganador',
+            'sense.flip': 'Si respondieras <strong>{answer}</strong> a «{question}», ganaría <strong>{name}</strong>.',
+            'sense.moreFlips': { one: '…y {count} cambio más. Consulta la matriz de abajo.', other: '…y {count} cambios más. Consulta la matriz de abajo.' },
+            'sense.noFlips': 'Ningún cambio de una sola respuesta cambiaría el ganador: es una elección sólida.',
+            'sense.matrixSummary': 'Matriz de respuestas y ganadores',
+            'sense.matrixHint': 'Quién gana si cambias solo una respuesta y mantienes el resto. Tus respuestas aparecen resaltadas.',
+            'sense.cellMargin': 'por {points}',
+            'sense.yourAnswer': 'tu respuesta',
+            'sense.differentWinner': 'otro ganador',
+            'sense.needsMore': 'Faltan respuestas',
+            'sense.leadText': 'Ventaja sobre {runnerUp}: {points}',
+            'sense.flipsText': 'Cambios de una sola respuesta que cambiarían el ganador:',
+
+            /* ---- Weights ---- */
+            'weights.summary': 'Avanzado: ajustar los pesos de puntuación',
+            'weights.reset': 'Restablecer valores',
+            'weights.metrics': 'Multiplicadores de métricas',
+            'weights.tags': 'Bonificaciones por etiqueta',
+            'weights.projectType': 'Tipo de proyecto',
+            'weights.typeMatch': 'Coincide con tu tipo de proyecto',
+            'weights.typeMismatch': 'El otro lado del stack',
+            'weights.trends': 'Tendencias',
+            'weights.momentum': 'Impulso (premia las puntuaciones al alza)',
+            'weights.or': ' o ',
+            'weights.statusCustom': 'Pesos personalizados activos: guardados en este navegador.',
+            'weights.statusDefault': 'Pesos integrados para tus respuestas actuales. Mueve un control para personalizarlos.',
+            'weights.resetDone': 'Pesos restablecidos a los valores integrados',
+            'weights.rule': 'Pesos personalizados',
+
+            /* ---- Detail modal + custom framework form ---- */
+            'modal.close': 'Cerrar diálogo',
+            'modal.since': 'Desde {year}',
+            'modal.scores': '📊 Puntuaciones',
+            'modal.add': 'Añadir a la comparación',
+            'modal.edit': 'Editar',
+            'modal.delete': 'Eliminar',
+            'notes.useCases': '🎯 Mejores casos de uso',
+            'notes.pros': '✅ Ventajas',
+            'notes.cons': '❌ Inconvenientes',
+            'form.editTitle': 'Editar framework',
+            'form.addTitle': 'Añadir un framework',
+            'form.intro': 'Los frameworks personalizados se guardan en este navegador y funcionan en todas partes igual que los integrados.',
+            'form.name': 'Nombre *',
+            'form.type': 'Tipo *',
+            'form.language': 'Lenguaje *',
+            'form.languagePlaceholder': 'p. ej. TypeScript',
+            'form.creator': 'Creador',
+            'form.year': 'Año',
+            'form.color': 'Color',
+            'form.icon': 'Icono (clase de Font Awesome)',
+            'form.tagline': 'Lema',
+            'form.scores': '📊 Puntuaciones (0–100)',
+            'form.details': '📝 Detalles',
+            'form.onePerLine': 'uno por línea',
+            'form.useCases': 'Mejores casos de uso',
+            'form.pros': 'Ventajas',
+            'form.cons': 'Inconvenientes',
+            'form.tags': 'Etiquetas',
+            'form.tagsHint': 'separadas por comas, p. ej. beginner-friendly, high-demand',
+            'form.save': 'Guardar cambios',
+            'form.add': 'Añadir framework',
+            'form.cancel': 'Cancelar',
+            'form.error.name': 'Ponle un nombre al framework.',
+            'form.error.language': 'Indica el lenguaje principal.',
+            'form.error.type': 'El tipo debe ser {types}.',
+            'form.error.nameTaken': 'Ya existe un framework llamado "{name}".',
+            'form.error.score': '{metric} debe ser un número entero entre 0 y 100.',
+            'form.error.year': 'El año debe estar entre 1970 y 2100.',
+            'form.updated': '{name} actualizado',
+            'form.added': '{name} añadido',
+            'form.confirmDelete': '¿Eliminar "{name}"? No se puede deshacer.',
+            'form.deleted': '{name} eliminado',
+
+            /* ---- Links ---- */
+            'link.partlyRestored': 'Enlace restaurado en parte: {problems}.',
+            'link.unknown': { one: 'framework desconocido {ids}', other: 'frameworks desconocidos {ids}' },
+            'link.invalidAnswer': '{question} no válido "{value}"',
+            'link.notEnough': 'no hay frameworks suficientes para abrir el panel',
+            'link.badBaseline': 'la referencia "{id}" no está en la comparación',
+            'link.copyFailed': 'No se pudo copiar: copia la barra de direcciones.',
+            'link.copied': 'Enlace copiado al portapapeles',
+
+            /* ---- Footer ---- */
+            'footer.desc': 'Hecho con ❤️ para la exposición universitaria. 100 % gratis, sin backend y listo para código abierto.',
+            'footer.pages': 'Listo para GitHub Pages',
+        },
+    },
+};
+
+if (typeof module === 'object' && module.exports) module.exports = LOCALES;
@@ -0,0 +1,151 @@
+/**
+ * ============================================================
+ * FrameWork Forge — sw.js
+ * Service worker that makes the whole app work offline:
+ *  - Precaches the app shell, the data files and the CDN
+ *    assets (Chart.js, Tailwind, Font Awesome, Google Fonts)
+ *  - Serves same-origin files stale-while-revalidate
+ *  - Tells open pages when frameworks.json or the
+ *    recommendation rules changed on the server
+ * ============================================================
+ */
+
+/* ==========================================
+   CACHE CONTENTS
+   Bump CACHE_VERSION whenever PRECACHE_URLS or
+   CDN_URLS change so old caches are dropped.
+   ========================================== */
+const CACHE_VERSION = 4;
+const CACHE_NAME = `ff-cache-v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'locales.js',
+    'engine.js',
+    'dataset.js',
+    'views.js',
+    'framework-compare.js',
+    'frameworks.json',
+    'recommendation-rules.json',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+];
+
+// Data files whose changes are announced to the page
+const WATCHED_DATA_FILES = ['frameworks.json', 'recommendation-rules.json'];
+
+// Third-party assets. Versioned URLs never change, so they are served cache-first.
+const CDN_URLS = [
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.2/dist/chart.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/webfonts/fa-solid-900.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/webfonts/fa-regular-400.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/webfonts/fa-brands-400.woff2',
+];
+const GOOGLE_FONTS_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&family=Space+Grotesk:wght@400;500;600;700&display=swap';
+
+/* ==========================================
+   INSTALL / ACTIVATE
+   ========================================== */
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // The app shell must cache completely or the install fails and retries later
+        await cache.addAll(PRECACHE_URLS);
+        // CDN assets are best effort: one slow CDN shouldn't block offline support
+        await Promise.allSettled([
+            ...CDN_URLS.map(url => cache.add(new Request(url, { mode: 'no-cors' }))),
+            precacheGoogleFonts(cache),
+        ]);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('ff-cache-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Cache the Google Fonts stylesheet plus every font file it points at.
+ * The font URLs depend on the browser, so they are read from the CSS
+ * this browser receives rather than hard-coded.
+ */
+async function precacheGoogleFonts(cache) {
+    const res = await fetch(GOOGLE_FONTS_CSS);
+    if (!res.ok) throw new Error(`Google Fonts CSS: HTTP ${res.status}`);
+    await cache.put(GOOGLE_FONTS_CSS, res.clone());
+    const css = await res.text();
+    const fontUrls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)].map(m => m[1]);
+    await cache.addAll([...new Set(fontUrls)]);
+}
+
+/* ==========================================
+   FETCH ROUTING
+   ========================================== */
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http')) return;
+
+    if (url.origin !== self.location.origin) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+    // Deep links carry state in the query string; they all share the cached page
+    const cacheKey = request.mode === 'navigate' ? new URL('index.html', self.registration.scope).href : url.href.split('?')[0];
+    const file = url.pathname.split('/').pop();
+    event.respondWith(staleWhileRevalidate(event, cacheKey, { watch: WATCHED_DATA_FILES.includes(file) }));
+});
+
+/**
+ * Answer from the cache and refresh it in the background; go to the
+ * network only for files that were never cached. With `watch`, a
+ * refreshed copy that differs from the cached one is announced to
+ * every open page.
+ */
+async function staleWhileRevalidate(event, cacheKey, { watch = false } = {}) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(cacheKey);
+    const previous = watch && cached ? cached.clone() : null;
+
+    const refresh = fetch(event.request).then(async response => {
+        if (!response.ok) return response;
+        await cache.put(cacheKey, response.clone());
+        if (previous) {
+            const [before, after] = await Promise.all([previous.text(), response.clone().text()]);
+            if (before !== after) await notifyClients({ type: 'data-updated', file: cacheKey.split('/').pop() });
+        }
+        return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => { /* offline — the cached copy stands */ }));
+    return cached;
+}
+
+/** Serve third-party assets from the cache, caching anything new on the way through. */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Opaque (no-cors) responses report status 0 but are still worth keeping
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
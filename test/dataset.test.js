@@ -0,0 +1,164 @@
+/**
+ * ============================================================
+ * FrameWork Forge — test/dataset.test.js
+ * Dataset schema and lint tests (run with `node --test`):
+ *  - validateFrameworks() skips and repairs
+ *  - bin/lint-dataset.js checks, drift and comparison table
+ *  - buildLeaderboard() ranking and ties
+ * ============================================================
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const FrameworkDataset = require('../dataset.js');
+const { calcAvgScore } = require('../engine.js');
+const { lintFrameworks, diffDatasets, formatComparisonTable } = require('../bin/lint-dataset.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'lint-dataset.js');
+const FRAMEWORKS_FILE = path.join(__dirname, '..', 'frameworks.json');
+const copy = () => JSON.parse(fs.readFileSync(FRAMEWORKS_FILE, 'utf8'));
+const KNOWN_TAGS = new Set(copy().flatMap(fw => fw.tags));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+function withTempFile(content, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff-lint-'));
+    const file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, content);
+    try {
+        return fn(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('validateFrameworks repairs what it can and skips the rest', () => {
+    const [react, angular] = copy();
+    const { frameworks, issues } = FrameworkDataset.validateFrameworks([
+        { ...react, scores: { ...react.scores, performance: 150 }, icon: 'fas fa-x"><script>' },
+        { ...angular, year: 'soon' },
+        { ...react },
+    ]);
+
+    assert.deepEqual(frameworks.map(fw => fw.id), ['react']);
+    assert.equal(frameworks[0].scores.performance, 100);
+    assert.equal(frameworks[0].icon, 'fas fa-cube');
+    assert.deepEqual(issues.map(i => `${i.id} ${i.field} ${i.action}`), [
+        'react scores repaired',
+        'react icon repaired',
+        'angular year skipped',
+        'react id skipped',
+    ]);
+});
+
+test('icon classes', () => {
+    assert.ok(FrameworkDataset.isIconClass('fab fa-react'));
+    assert.ok(FrameworkDataset.isIconClass('fas fa-arrows-up-down fa-lg'));
+    assert.ok(!FrameworkDataset.isIconClass('react'));
+    assert.ok(!FrameworkDataset.isIconClass('fas fa-x onclick=alert(1)'));
+    assert.ok(!FrameworkDataset.isIconClass(''));
+});
+
+test('the shipped dataset lints clean', () => {
+    const result = run();
+    assert.equal(result.status, 0, result.stdout);
+    assert.match(result.stdout, /✔ 0 errors, 0 warnings/);
+});
+
+test('lint reports each kind of problem', () => {
+    const list = copy();
+    list[0].scores.jobDemand = -5;
+    list[1].color = 'red';
+    list[2].tags = [...list[2].tags, 'fast-dev'];
+    delete list[3].tagline;
+    list[4].translations = { fr: { tagline: 'Le framework' } };
+    list.push({ ...list[5] });
+
+    const problems = lintFrameworks(list, KNOWN_TAGS).map(p => `${p.level} ${p.id} ${p.field}`);
+    assert.deepEqual(problems.sort(), [
+        `error ${list[0].id} scores`,
+        `error ${list[1].id} color`,
+        `error ${list[2].id} tags`,
+        `error ${list[5].id} id`,
+        `warning ${list[3].id} tagline`,
+        `warning ${list[4].id} translations`,
+    ].sort());
+    assert.equal(lintFrameworks({}, KNOWN_TAGS)[0].field, '(root)');
+});
+
+test('lint exits 1 on errors and 2 on bad arguments', () => {
+    const list = copy();
+    list[0].icon = 'not an icon';
+    withTempFile(JSON.stringify(list), file => {
+        const result = run(file);
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /icon: must be Font Awesome classes/);
+        assert.match(result.stdout, /✖ 1 error, 0 warnings/);
+    });
+    withTempFile('{ not json', file => assert.equal(run(file).status, 1));
+    assert.equal(run('--strict').status, 2);
+    assert.equal(run('--compare', 'react,nope').status, 2);
+    assert.equal(run('--baseline', 'react').status, 2);
+});
+
+test('drift between two datasets', () => {
+    const ours = copy();
+    const theirs = copy().slice(1);
+    theirs[0].year += 1;
+    theirs.push({ id: 'ember', name: 'Ember' });
+
+    const problems = diffDatasets(ours, theirs, 'old.json').map(p => `${p.id} ${p.field}`);
+    assert.deepEqual(problems, [`${ours[0].id} (entry)`, `${ours[1].id} year`, 'ember (entry)']);
+
+    withTempFile(JSON.stringify(theirs), file => {
+        const result = run('--against', file);
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /differs \(drift from /);
+    });
+});
+
+test('comparison table mirrors the dashboard rows', () => {
+    const [react, angular, vue] = copy();
+    const t = key => key;
+    const lines = formatComparisonTable([react, angular, vue], angular.id, t).split('\n');
+
+    assert.equal(lines.length, 2 + FrameworkDataset.buildComparisonRows([react], t).length);
+    assert.match(lines[0], new RegExp(`${angular.name} \\(h2h\\.baseline\\)`));
+    const perf = lines.find(line => line.startsWith('metric.performance'));
+    const delta = react.scores.performance - angular.scores.performance;
+    assert.ok(perf.includes(`${react.scores.performance}/100`));
+    assert.ok(perf.includes(`(${delta > 0 ? '+' : ''}${delta})`));
+    assert.match(lines.find(line => line.startsWith('table.avg')), /★/);
+
+    const result = run('--compare', `${react.id},${vue.id}`);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Ease of Learning/);
+});
+
+test('comparison table columns line up around wide labels', () => {
+    const [react, angular] = copy();
+    const t = key => (key === 'table.avg' ? '⭐ Avg Score' : key);
+    const lines = formatComparisonTable([react, angular], null, t).split('\n');
+    const firstScore = prefix => lines.find(line => line.startsWith(prefix)).search(/\d+\/100/);
+    // ⭐ is one character but two terminal columns, so its row pads one space less
+    assert.equal(firstScore('⭐'), firstScore('metric.performance') - 1);
+});
+
+test('leaderboard ranks ties together and lists either way', () => {
+    const [react, angular, vue] = copy();
+    const at = (fw, performance) => ({ ...fw, scores: { ...fw.scores, performance } });
+    const frameworks = [at(react, 80), at(angular, 90), at(vue, 80)];
+    const ranked = board => board.map(({ fw, value, rank }) => `${rank} ${fw.id} ${value}`);
+
+    assert.deepEqual(ranked(FrameworkDataset.buildLeaderboard(frameworks, { key: 'performance' })),
+        ['1 angular 90', '2 react 80', '2 vue 80']);
+    assert.deepEqual(ranked(FrameworkDataset.buildLeaderboard(frameworks, { key: 'performance', direction: 'asc' })),
+        ['2 react 80', '2 vue 80', '1 angular 90']);
+    const byAvg = FrameworkDataset.buildLeaderboard(frameworks);
+    assert.deepEqual(byAvg.map(e => e.value), frameworks.map(calcAvgScore).sort((a, b) => b - a));
+    assert.throws(() => FrameworkDataset.buildLeaderboard(frameworks, { key: 'stars' }), /Unknown leaderboard key "stars"/);
+});
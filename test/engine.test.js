@@ -0,0 +1,341 @@
+/**
+ * ============================================================
+ * FrameWork Forge — test/engine.test.js
+ * Recommendation engine tests (Node's built-in runner):
+ *
+ *   node --test
+ *
+ *  - Every answer combination the questionnaire allows
+ *  - Winners for the core questions pinned against the
+ *    shipped frameworks.json / recommendation-rules.json
+ *  - Rules file validation
+ *  - The bin/recommend.js CLI
+ * Update WINNERS deliberately when the dataset or the rules
+ * are retuned.
+ * ============================================================
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const FrameworkEngine = require('../engine.js');
+const LOCALES = require('../locales.js');
+const RULES_FILE = require('../recommendation-rules.json');
+const FRAMEWORKS = require('../frameworks.json');
+
+const CLI = path.join(__dirname, '..', 'bin', 'recommend.js');
+const silent = () => {};
+const def = FrameworkEngine.validateRulesFile(RULES_FILE, silent);
+const i18n = FrameworkEngine.createTranslator(LOCALES, 'en');
+const rank = answers => FrameworkEngine.rankFrameworks(FRAMEWORKS, answers, { ...def, i18n });
+const winnerOf = ({ scored, pairs }) => (pairs ? `${pairs[0].front.fw.id} + ${pairs[0].back.fw.id}` : scored[0].fw.id);
+
+/**
+ * Every set of answers a visitor can submit: each asked question takes each of
+ * its options, optional ones may also stay unanswered, questions whose `when`
+ * doesn't match are skipped.
+ */
+function allAnswerSets(questions, answers = {}, index = 0) {
+    if (index === questions.length) return [answers];
+    const question = questions[index];
+    if (!FrameworkEngine.whenMatches(question, answers)) return allAnswerSets(questions, answers, index + 1);
+    const choices = question.options.map(o => o.value);
+    if (!question.required) choices.push(undefined);
+    return choices.flatMap(value => allAnswerSets(questions, value ? { ...answers, [question.id]: value } : answers, index + 1));
+}
+
+// experience scale priority → winner for type frontend, backend, fullstack
+const WINNERS = {
+    'beginner small speed': ['vue', 'laravel', 'vue + express'],
+    'beginner small performance': ['vue', 'laravel', 'vue + express'],
+    'beginner small jobs': ['react', 'django', 'react + express'],
+    'beginner medium speed': ['vue', 'laravel', 'vue + express'],
+    'beginner medium performance': ['vue', 'express', 'react + express'],
+    'beginner medium jobs': ['react', 'django', 'react + express'],
+    'beginner large speed': ['vue', 'django', 'vue + express'],
+    'beginner large performance': ['vue', 'django', 'react + express'],
+    'beginner large jobs': ['react', 'django', 'react + express'],
+    'intermediate small speed': ['vue', 'express', 'vue + express'],
+    'intermediate small performance': ['vue', 'express', 'react + express'],
+    'intermediate small jobs': ['react', 'express', 'react + express'],
+    'intermediate medium speed': ['vue', 'express', 'react + express'],
+    'intermediate medium performance': ['react', 'express', 'react + express'],
+    'intermediate medium jobs': ['react', 'express', 'react + express'],
+    'intermediate large speed': ['vue', 'express', 'react + express'],
+    'intermediate large performance': ['angular', 'express', 'react + express'],
+    'intermediate large jobs': ['react', 'express', 'react + express'],
+    'advanced small speed': ['vue', 'express', 'vue + express'],
+    'advanced small performance': ['react', 'express', 'react + express'],
+    'advanced small jobs': ['react', 'express', 'react + express'],
+    'advanced medium speed': ['react', 'express', 'react + express'],
+    'advanced medium performance': ['angular', 'express', 'react + express'],
+    'advanced medium jobs': ['react', 'express', 'react + express'],
+    'advanced large speed': ['angular', 'express', 'react + express'],
+    'advanced large performance': ['angular', 'express', 'angular + express'],
+    'advanced large jobs': ['angular', 'express', 'react + express'],
+};
+
+test('the core questions are the ones WINNERS is keyed by', () => {
+    assert.deepEqual(def.questions.filter(q => q.required).map(q => q.id), ['experience', 'scale', 'priority', 'type']);
+    assert.equal(Object.keys(WINNERS).length, 27);
+});
+
+test('pinned winners for every core answer combination', () => {
+    const types = def.questions.find(q => q.id === 'type').options.map(o => o.value);
+    Object.entries(WINNERS).forEach(([key, expected]) => {
+        const [experience, scale, priority] = key.split(' ');
+        types.forEach((type, i) => {
+            assert.equal(winnerOf(rank({ experience, scale, priority, type })), expected[i], `${key} ${type}`);
+        });
+    });
+});
+
+test('every answer combination ranks sensibly', () => {
+    const sets = allAnswerSets(def.questions);
+    assert.ok(sets.length > 1000, `only ${sets.length} combinations`);
+
+    sets.forEach(answers => {
+        const label = JSON.stringify(answers);
+        assert.deepEqual(FrameworkEngine.getMissingAnswers(def.questions, answers), [], label);
+        const { scored, pairs } = rank(answers);
+
+        assert.equal(scored.length, FRAMEWORKS.length, label);
+        scored.forEach(({ fw, score, contributions }, i) => {
+            assert.ok(Number.isInteger(score), `${label} ${fw.id}: ${score}`);
+            assert.equal(score, Math.round(contributions.reduce((sum, c) => sum + c.points, 0)), `${label} ${fw.id}`);
+            contributions.forEach(c => assert.ok(Number.isFinite(c.points) && c.rule && c.source, `${label} ${fw.id}`));
+            if (i) assert.ok(scored[i - 1].score >= score, `${label} not sorted`);
+        });
+
+        if (answers.type === 'fullstack') {
+            assert.ok(pairs, label);
+            pairs.forEach((pair, i) => {
+                assert.equal(pair.front.fw.type, 'Frontend', label);
+                assert.equal(pair.back.fw.type, 'Backend', label);
+                assert.equal(pair.total, pair.front.score + pair.back.score + pair.affinities.reduce((sum, a) => sum + a.points, 0), label);
+                if (i) assert.ok(pairs[i - 1].total >= pair.total, `${label} pairs not sorted`);
+            });
+            const explanation = FrameworkEngine.buildStackExplanation(pairs[0], answers, i18n);
+            assert.ok(explanation.includes(pairs[0].front.fw.name) && explanation.includes(pairs[0].back.fw.name), label);
+        } else {
+            assert.equal(pairs, null, label);
+            // Optional answers may outweigh the type bonus; the core ones alone must not
+            if (Object.keys(answers).length === 4) assert.equal(scored[0].fw.type.toLowerCase(), answers.type, label);
+            assert.ok(FrameworkEngine.buildExplanation(scored[0].fw, answers, i18n).includes(scored[0].fw.name), label);
+        }
+    });
+});
+
+test('explanations exist in every locale', () => {
+    const answers = { experience: 'beginner', scale: 'large', priority: 'jobs', type: 'fullstack' };
+    Object.keys(LOCALES).forEach(locale => {
+        const localized = FrameworkEngine.createTranslator(LOCALES, locale);
+        const { pairs } = FrameworkEngine.rankFrameworks(FRAMEWORKS, answers, { ...def, i18n: localized });
+        const texts = [
+            FrameworkEngine.buildStackExplanation(pairs[0], answers, localized),
+            FrameworkEngine.buildExplanation(pairs[0].front.fw, { ...answers, type: 'frontend' }, localized),
+        ];
+        texts.forEach(text => assert.doesNotMatch(text, /explain\.|\{\w+\}/, `${locale}: ${text}`));
+    });
+});
+
+test('sensitivity: margin, flips and the answer matrix', () => {
+    const answers = { experience: 'advanced', scale: 'medium', priority: 'speed', type: 'frontend' };
+    const ranking = rank(answers);
+    const result = FrameworkEngine.analyzeSensitivity(def.questions, answers, rank, ranking);
+
+    assert.equal(result.winner.key, ranking.scored[0].fw.id);
+    assert.equal(result.runnerUp.key, ranking.scored[1].fw.id);
+    assert.equal(result.margin, ranking.scored[0].score - ranking.scored[1].score);
+    assert.equal(result.nearTie, result.margin <= FrameworkEngine.NEAR_TIE_POINTS);
+    assert.deepEqual(result.rows.map(r => r.question.id), FrameworkEngine.getAskedQuestions(def.questions, answers).map(q => q.id));
+
+    result.rows.forEach(({ question, cells }) => cells.forEach(cell => {
+        const next = FrameworkEngine.changeAnswer(def.questions, answers, question.id, cell.value);
+        const expected = winnerOf(rank(next)).replace(' + ', '+');
+        assert.equal(cell.winner.key, expected, `${question.id}=${cell.value}`);
+        assert.equal(cell.current, answers[question.id] === cell.value);
+        assert.equal(cell.flip, expected !== result.winner.key);
+    }));
+    assert.deepEqual(result.flips.map(f => `${f.question.id}=${f.value}`),
+        result.rows.flatMap(r => r.cells.filter(c => c.flip).map(c => `${r.question.id}=${c.value}`)));
+});
+
+test('changing an answer drops answers to questions no longer asked', () => {
+    const answers = { experience: 'beginner', scale: 'small', priority: 'jobs', type: 'frontend', seo: 'critical' };
+    assert.deepEqual(FrameworkEngine.changeAnswer(def.questions, answers, 'type', 'backend'),
+        { experience: 'beginner', scale: 'small', priority: 'jobs', type: 'backend' });
+    assert.equal(FrameworkEngine.changeAnswer(def.questions, answers, 'type', 'fullstack').seo, 'critical');
+});
+
+test('ties and lone candidates', () => {
+    const [react] = FRAMEWORKS;
+    const twin = { ...react, id: 'twin', name: 'Twin' };
+    const tied = FrameworkEngine.getWinningMargin(FrameworkEngine.rankFrameworks([react, twin], { type: 'frontend' }, { ...def, i18n }));
+    assert.deepEqual([tied.winner.key, tied.margin, tied.tie, tied.nearTie], ['react', 0, true, true]);
+
+    const alone = FrameworkEngine.getWinningMargin(FrameworkEngine.rankFrameworks([react], { type: 'frontend' }, { ...def, i18n }));
+    assert.deepEqual([alone.margin, alone.tie, alone.nearTie], [null, false, false]);
+});
+
+test('calcAvgScore and score trends', () => {
+    const fw = { scores: { performance: 90, learningCurve: 70, communitySupport: 95, jobDemand: 95, scalability: 88 } };
+    assert.equal(FrameworkEngine.calcAvgScore(fw), 88);
+    assert.equal(FrameworkEngine.getScoreTrend(fw), null);
+
+    const history = [{ date: '2023-01', scores: { ...fw.scores, performance: 85 } }];
+    assert.deepEqual(FrameworkEngine.getScoreTrend({ ...fw, history }, 'performance'), { delta: 5, since: '2023-01', direction: 'up' });
+    assert.equal(FrameworkEngine.getScoreTrend({ ...fw, history }).direction, 'flat');
+    assert.equal(FrameworkEngine.formatDelta(3), '+3');
+    assert.equal(FrameworkEngine.formatDelta(-3), '-3');
+});
+
+test('momentum rewards rising metrics only when a rule asks for it', () => {
+    const fw = {
+        id: 'x', name: 'X', type: 'Backend', tags: [],
+        scores: { performance: 80, learningCurve: 50, communitySupport: 50, jobDemand: 50, scalability: 50 },
+        history: [{ date: '2022', scores: { performance: 70, learningCurve: 50, communitySupport: 50, jobDemand: 50, scalability: 50 } }],
+    };
+    const terms = [{ rule: 'r', metric: 'performance', factor: 0.5 }];
+    assert.equal(FrameworkEngine.scoreFramework(fw, terms, i18n).total, 40);
+    assert.equal(FrameworkEngine.scoreFramework(fw, [...terms, { rule: 'r', momentum: 2 }], i18n).total, 50);
+});
+
+test('questionnaire validation skips malformed questions', () => {
+    const warnings = [];
+    const questions = FrameworkEngine.validateQuestions([
+        { id: 'a', title: 'A', options: [{ value: 'x', label: 'X' }, { value: 'y', label: 'Y' }] },
+        { id: 'compare', title: 'Reserved', options: [{ value: 'x', label: 'X' }, { value: 'y', label: 'Y' }] },
+        { id: 'b', title: 'B', options: [{ value: 'x', label: 'X' }] },
+        { id: 'c', title: 'C', when: { later: 'x' }, options: [{ value: 'x', label: 'X' }, { value: 'y', label: 'Y' }] },
+        { id: 'd', title: 'D', required: false, when: { a: 'y' }, options: [{ value: 'x', label: 'X' }, { value: 'y', label: 'Y' }] },
+    ], msg => warnings.push(msg));
+
+    assert.deepEqual(questions.map(q => q.id), ['a', 'd']);
+    assert.equal(warnings.length, 3);
+    assert.deepEqual(questions[1].when, { a: ['y'] });
+    assert.equal(questions[1].required, false);
+    assert.deepEqual(FrameworkEngine.getAskedQuestions(questions, { a: 'x' }).map(q => q.id), ['a']);
+    assert.deepEqual(FrameworkEngine.getMissingAnswers(questions, {}).map(q => q.id), ['a']);
+    assert.throws(() => FrameworkEngine.validateQuestions(undefined, silent), /questions/);
+});
+
+test('rule validation reports and drops bad parts', () => {
+    const warnings = [];
+    const [rule] = FrameworkEngine.validateRules({ rules: [{
+        id: 'r',
+        when: { experience: 'beginner', nope: 'x' },
+        metrics: { performance: 0.5, speed: 1, scalability: 'a' },
+        tagBonuses: [{ anyOf: ['spa'], points: 5 }, { anyOf: [], points: 5 }],
+        languageBonuses: { Go: 'x', Rust: 5 },
+        momentum: -1,
+    }] }, def.questions, msg => warnings.push(msg));
+
+    assert.deepEqual(rule.when, { experience: ['beginner'] });
+    assert.deepEqual(rule.metrics, { performance: 0.5 });
+    assert.equal(rule.tagBonuses.length, 1);
+    assert.deepEqual(rule.languageBonuses, { Rust: 5 });
+    assert.equal(rule.momentum, 0);
+    assert.equal(warnings.length, 6);
+
+    const affinities = FrameworkEngine.validatePairings({ affinities: [
+        { id: 'ok', points: 5, sameField: 'language' },
+        { id: 'two', points: 5, sameField: 'language', pairs: [['a', 'b']] },
+        { id: 'nan', points: 'x', sameField: 'language' },
+    ] }, silent);
+    assert.deepEqual(affinities.map(a => a.id), ['ok']);
+});
+
+test('the shipped rules file validates cleanly', () => {
+    const warnings = [];
+    FrameworkEngine.validateRulesFile(RULES_FILE, msg => warnings.push(msg));
+    assert.deepEqual(warnings, []);
+});
+
+test('CLI prints JSON matching the engine', () => {
+    const answers = { experience: 'beginner', scale: 'large', priority: 'jobs', type: 'backend' };
+    const flags = Object.entries(answers).flatMap(([id, value]) => [`--${id}`, value]);
+    const report = JSON.parse(execFileSync(process.execPath, [CLI, ...flags, '--format', 'json'], { encoding: 'utf8' }));
+    const { scored } = rank(answers);
+
+    assert.deepEqual(report.answers, answers);
+    assert.equal(report.kind, 'single');
+    assert.deepEqual(report.ranking.map(r => [r.id, r.score]), scored.map(e => [e.fw.id, e.score]));
+    assert.deepEqual(report.winner, { id: scored[0].fw.id });
+    assert.ok(report.explanation.includes(scored[0].fw.name));
+    assert.doesNotMatch(report.explanation, /</);
+});
+
+test('CLI text output and stacks', () => {
+    const out = execFileSync(process.execPath, [CLI, '--experience', 'beginner', '--scale', 'small', '--priority', 'jobs', '--type=fullstack', '--top', '2'], { encoding: 'utf8' });
+    const lines = out.split('\n');
+    assert.equal(lines[0], 'Beginner · Small / Personal · Job Market · Full Stack');
+    assert.match(lines[2], /^ 1\. React \+ Express\.js +\d+ pts/);
+    assert.match(lines[3], /^ 2\. /);
+    assert.equal(lines[4], '');
+
+    const es = execFileSync(process.execPath, [CLI, '--experience', 'beginner', '--scale', 'small', '--priority', 'jobs', '--type', 'backend', '--locale', 'es'], { encoding: 'utf8' });
+    assert.match(es.split('\n')[2], /^ 1\. .+ +\d+ ptos  Backend$/);
+    assert.match(es, /^Ventaja sobre .+: \d+ ptos/m);
+    assert.doesNotMatch(es, /\bpts\b|Lead over|answer change/);
+});
+
+test('script translators pick the plural form from a count param', () => {
+    const en = FrameworkEngine.createTranslator(LOCALES, 'en');
+    assert.equal(en.t('common.frameworks', { count: 1 }), '1 framework');
+    assert.equal(en.t('common.frameworks', { count: 3 }), '3 frameworks');
+    assert.equal(en.t('common.frameworks', { count: 0 }), '0 frameworks');
+    assert.equal(en.t('common.frameworks'), '{count} frameworks');
+    assert.equal(FrameworkEngine.createTranslator(LOCALES, 'es').t('selection.count', { count: 1 }), '1 seleccionado');
+});
+
+test('CLI rejects bad arguments with exit code 2', () => {
+    const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    const core = ['--experience', 'beginner', '--scale', 'large', '--priority', 'jobs'];
+
+    const missing = run(...core);
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /Missing answers: --type <frontend\|backend\|fullstack>/);
+    assert.equal(run(...core, '--type', 'mobile').status, 2);
+    assert.equal(run(...core, '--type', 'backend', '--colour', 'red').status, 2);
+    assert.equal(run(...core, '--type', 'backend', '--format', 'xml').status, 2);
+
+    const skipped = run(...core, '--type', 'backend', '--seo', 'critical');
+    assert.equal(skipped.status, 0);
+    assert.match(skipped.stderr, /--seo is not asked/);
+    assert.equal(run(...core, '--type', 'backend', '--data', 'missing.json').status, 1);
+    assert.equal(run('--help').status, 0);
+});
+
+test('CLI ranks only the valid entries of a --data file', () => {
+    const run = (...args) => spawnSync(process.execPath, [CLI, '--experience', 'beginner', '--scale', 'large', '--priority', 'jobs',
+        '--type', 'frontend', '--json', ...args], { encoding: 'utf8' });
+    const [react, angular, vue] = FRAMEWORKS;
+    const noScores = { ...angular, scores: undefined };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff-recommend-'));
+    const write = (name, list) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, JSON.stringify(list));
+        return file;
+    };
+    try {
+        const mixed = run('--data', write('mixed.json', [react, noScores, { ...vue, scores: { ...vue.scores, performance: 'fast' } }]));
+        assert.equal(mixed.status, 0);
+        assert.match(mixed.stderr, /angular · scores: .*\(skipped\)/);
+        assert.match(mixed.stderr, /vue · scores.performance: .*\(skipped\)/);
+        const report = JSON.parse(mixed.stdout);
+        assert.deepEqual(report.ranking.map(r => r.id), [react.id]);
+        assert.ok(report.ranking.every(r => Number.isFinite(r.score)));
+
+        const none = run('--data', write('none.json', [noScores]));
+        assert.equal(none.status, 1);
+        assert.match(none.stderr, /No valid frameworks in .*none\.json/);
+        assert.equal(run('--data', write('object.json', { frameworks: [] })).status, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
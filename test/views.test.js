@@ -0,0 +1,74 @@
+/**
+ * ============================================================
+ * FrameWork Forge — test/views.test.js
+ * Shared view tests (run with `node --test`):
+ *  - html`` escaping
+ *  - Chart series contrast and the radar/bar configs
+ *  - Comparison and chart data table markup
+ * ============================================================
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FrameworkEngine = require('../engine.js');
+const FrameworkViews = require('../views.js');
+const LOCALES = require('../locales.js');
+const FRAMEWORKS = require('../frameworks.json');
+
+const { t } = FrameworkEngine.createTranslator(LOCALES, 'es');
+const [react, angular, vue] = FRAMEWORKS;
+
+test('html`` escapes values unless they are html`` themselves', () => {
+    const { html } = FrameworkViews;
+    const name = '<b onclick="x">&</b>';
+    assert.equal(String(html`<p title="${name}">${name}${html`<i></i>`}${[1, null, false, 2]}</p>`),
+        '<p title="&lt;b onclick=&quot;x&quot;&gt;&amp;&lt;/b&gt;">&lt;b onclick=&quot;x&quot;&gt;&amp;&lt;/b&gt;<i></i>12</p>');
+    assert.equal(FrameworkViews.safeColor('red'), '#8b5cf6');
+    assert.equal(FrameworkViews.safeIcon('fab fa-react x"'), 'fas fa-cube');
+});
+
+test('every series reaches the minimum contrast in both themes and palettes', () => {
+    for (const theme of ['light', 'dark'].map(FrameworkViews.getChartThemeColors)) {
+        for (const palette of Object.keys(FrameworkViews.CHART_PALETTES)) {
+            const series = FrameworkViews.getChartSeries(FRAMEWORKS, theme, palette);
+            assert.equal(series.length, FRAMEWORKS.length);
+            series.forEach(s => assert.ok(FrameworkViews.contrastRatio(s.border, theme.background) >= 3, `${palette} ${s.border}`));
+        }
+    }
+});
+
+test('radar and bar configs use the given locale and palette', () => {
+    const theme = FrameworkViews.getChartThemeColors('dark');
+    const radar = FrameworkViews.buildRadarChartConfig([react, vue], theme, { t, palette: 'colorblind' });
+    assert.equal(radar.type, 'radar');
+    assert.deepEqual(radar.data.labels, FrameworkEngine.METRIC_KEYS.map(key => LOCALES.es.strings[`metric.${key}`]));
+    assert.deepEqual(radar.data.datasets.map(d => d.borderColor), FrameworkViews.COLORBLIND_SAFE.slice(0, 2).map(c => c.toLowerCase()));
+    assert.deepEqual(radar.data.datasets[1].data, FrameworkEngine.METRIC_KEYS.map(key => vue.scores[key]));
+
+    const bar = FrameworkViews.buildBarChartConfig([react, vue], theme, { t, palette: 'brand' });
+    assert.equal(bar.data.labels[0], LOCALES.es.strings['metric.performance.short']);
+    assert.equal(bar.options.scales.x.ticks.color, theme.text);
+});
+
+test('comparison table marks the best score and deltas against the baseline', () => {
+    const markup = String(FrameworkViews.buildComparisonTableHTML([react, angular], {
+        t, baselineId: angular.id, metricIcons: { performance: 'fa-gauge-high' },
+    }));
+    assert.equal((markup.match(/<tr>/g) || []).length, 1 + 4 + FrameworkEngine.METRIC_KEYS.length + 1);
+    assert.ok(markup.includes(`<span class="baseline-badge">${t('h2h.baseline')}</span>`));
+    assert.match(markup, /fa-gauge-high/);
+    assert.match(markup, /score-pill score-(high|mid|low) score-best/);
+    const delta = FrameworkEngine.formatDelta(react.scores.performance - angular.scores.performance);
+    assert.ok(markup.includes(t('h2h.vsBaseline', { delta, name: angular.name })));
+
+    const bare = String(FrameworkViews.buildComparisonTableHTML([{ ...react, name: '<script>' }, vue], { t, icons: false }));
+    assert.doesNotMatch(bare, /fa-gauge-high|fab fa-react|baseline-badge|<script>/);
+    assert.match(bare, /&lt;script&gt;/);
+});
+
+test('chart data table lists every metric for every framework', () => {
+    const markup = String(FrameworkViews.buildChartDataTableHTML([react, vue], { t, caption: 'Datos' }));
+    assert.match(markup, /<caption class="sr-only">Datos<\/caption>/);
+    assert.equal((markup.match(/<td>/g) || []).length, 2 * FrameworkEngine.METRIC_KEYS.length);
+});
@@ -0,0 +1,372 @@
+/**
+ * ============================================================
+ * FrameWork Forge — views.js
+ * Markup and chart configs shared by the page (app.js) and
+ * the <framework-compare> element (framework-compare.js):
+ *  - Safe HTML templating (html``, escapeHTML, safeColor, …)
+ *  - Chart palettes, contrast helpers and the radar/bar
+ *    Chart.js configs
+ *  - The comparison table markup
+ * Nothing here touches the document or page state; callers
+ * pass the theme, palette and t(). Loaded as a classic script
+ * after dataset.js it defines FrameworkViews; under Node it is
+ * require()'d.
+ * ============================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./dataset.js'));
+    else root.FrameworkViews = factory(root.FrameworkEngine, root.FrameworkDataset);
+})(globalThis, (engine, dataset) => {
+    'use strict';
+
+    const { METRIC_KEYS, formatDelta } = engine;
+    const { isIconClass, isBestValue, buildComparisonRows } = dataset;
+
+    /* ==========================================
+       SAFE HTML TEMPLATING
+       Framework data can come from imported files
+       and localStorage, so nothing from it goes into
+       innerHTML unescaped. Build markup with the
+       html`` tag: interpolated values are escaped
+       unless they are themselves html`` results,
+       and arrays are rendered item by item.
+       ========================================== */
+    class SafeHTML {
+        constructor(value) { this.value = value; }
+        toString() { return this.value; }
+    }
+
+    function html(strings, ...values) {
+        return new SafeHTML(strings.reduce((out, str, i) => out + renderTemplateValue(values[i - 1]) + str));
+    }
+
+    function renderTemplateValue(value) {
+        if (value instanceof SafeHTML) return value.value;
+        if (Array.isArray(value)) return value.map(renderTemplateValue).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHTML(value);
+    }
+
+    function escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Colours end up inside style="" — only plain #rrggbb gets through.
+     */
+    function safeColor(value, fallback = '#8b5cf6') {
+        return /^#[0-9a-f]{6}$/i.test(value) ? value : fallback;
+    }
+
+    /**
+     * Icons end up inside class="" — only Font Awesome style/icon classes get through.
+     */
+    function safeIcon(value, fallback = 'fas fa-cube') {
+        return isIconClass(value) ? String(value).trim().split(/\s+/).join(' ') : fallback;
+    }
+
+    /* ==========================================
+       CHART PALETTES
+       Series colours are derived per theme:
+       'brand' starts from each framework's own
+       `color`, 'colorblind' uses the Okabe–Ito set.
+       Both are contrast-checked against the card
+       background; the radar also varies dash and
+       point style so series never rely on colour.
+       ========================================== */
+    const CHART_PALETTES = {
+        brand: 'palette.brand',
+        colorblind: 'palette.colorblind',
+    };
+    const COLORBLIND_SAFE = ['#E69F00', '#56B4E9', '#009E73', '#CC79A7', '#0072B2', '#D55E00', '#F0E442', '#999999'];
+    const SERIES_DASHES = [[], [6, 4], [2, 3], [10, 4, 2, 4], [12, 6], [4, 2, 1, 2]];
+    const SERIES_POINTS = ['circle', 'rect', 'triangle', 'rectRot', 'star', 'crossRot'];
+    const MIN_CHART_CONTRAST = 3;    // WCAG 1.4.11 non-text contrast
+    const MIN_SERIES_DISTANCE = 48;  // RGB distance below which two series read as one colour
+
+    /** Grid/text colours for the 'light' or 'dark' theme. */
+    function getChartThemeColors(theme) {
+        const isDark = theme === 'dark';
+        return {
+            isDark,
+            background: isDark ? '#16161f' : '#ffffff',   // --bg-card
+            grid: isDark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.06)',
+            text: isDark ? '#9090b0' : '#4a4a6a',
+        };
+    }
+
+    /**
+     * One { border, fill, dash, pointStyle } per framework, in order, for a
+     * palette and the given theme colours.
+     */
+    function getChartSeries(frameworks, theme, palette = 'brand') {
+        const used = [];
+        return frameworks.map((fw, i) => {
+            let hex = palette === 'colorblind'
+                ? COLORBLIND_SAFE[i % COLORBLIND_SAFE.length]
+                : safeColor(fw.color);
+            hex = ensureContrast(hex, theme.background);
+            // Brand colours can collide (three greens in the default set) — rotate the hue apart
+            if (palette === 'brand') {
+                for (let turn = 1; turn <= 6 && used.some(u => colorDistance(u, hex) < MIN_SERIES_DISTANCE); turn++) {
+                    hex = ensureContrast(rotateHue(safeColor(fw.color), turn * 40), theme.background);
+                }
+            }
+            used.push(hex);
+            const [r, g, b] = hexToRgb(hex);
+            return {
+                border: hex,
+                fill: `rgba(${r},${g},${b},${theme.isDark ? 0.22 : 0.18})`,
+                dash: SERIES_DASHES[i % SERIES_DASHES.length],
+                pointStyle: SERIES_POINTS[i % SERIES_POINTS.length],
+            };
+        });
+    }
+
+    function hexToRgb(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    function rgbToHex(rgb) {
+        return '#' + rgb.map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0')).join('');
+    }
+
+    function relativeLuminance(hex) {
+        const [r, g, b] = hexToRgb(hex).map(v => {
+            const c = v / 255;
+            return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    function contrastRatio(a, b) {
+        const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+        return (hi + 0.05) / (lo + 0.05);
+    }
+
+    function colorDistance(a, b) {
+        const [x, y] = [hexToRgb(a), hexToRgb(b)];
+        return Math.hypot(x[0] - y[0], x[1] - y[1], x[2] - y[2]);
+    }
+
+    /**
+     * Lighten (on dark backgrounds) or darken (on light ones) until the colour
+     * reaches MIN_CHART_CONTRAST against the background. Hue is kept.
+     */
+    function ensureContrast(hex, background) {
+        const towards = relativeLuminance(background) < 0.5 ? 255 : 0;
+        let rgb = hexToRgb(hex);
+        for (let step = 0; step < 20 && contrastRatio(rgbToHex(rgb), background) < MIN_CHART_CONTRAST; step++) {
+            rgb = rgb.map(v => v + (towards - v) * 0.12);
+        }
+        return rgbToHex(rgb);
+    }
+
+    function rotateHue(hex, degrees) {
+        const [r, g, b] = hexToRgb(hex).map(v => v / 255);
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        const sat = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+        let h = 0;
+        if (d) {
+            if (max === r) h = ((g - b) / d) % 6;
+            else if (max === g) h = (b - r) / d + 2;
+            else h = (r - g) / d + 4;
+        }
+        h = (h * 60 + degrees + 360) % 360;
+
+        const c = (1 - Math.abs(2 * l - 1)) * sat;
+        const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+        const m = l - c / 2;
+        const [r1, g1, b1] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x]
+            : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+        return rgbToHex([r1 + m, g1 + m, b1 + m].map(v => v * 255));
+    }
+
+    /* ==========================================
+       CHART.JS — RADAR + BAR CONFIGS
+       ========================================== */
+    function buildRadarChartConfig(frameworks, theme, { t, palette }) {
+        const series = getChartSeries(frameworks, theme, palette);
+        const radarDatasets = frameworks.map((fw, i) => ({
+            label: fw.name,
+            data: METRIC_KEYS.map(key => fw.scores[key]),
+            backgroundColor: series[i].fill,
+            borderColor: series[i].border,
+            borderWidth: 2,
+            borderDash: series[i].dash,
+            pointBackgroundColor: series[i].border,
+            pointStyle: series[i].pointStyle,
+            pointRadius: 5,
+            pointHoverRadius: 7,
+        }));
+
+        return {
+            type: 'radar',
+            data: { labels: METRIC_KEYS.map(key => t(`metric.${key}`)), datasets: radarDatasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    r: {
+                        min: 0, max: 100,
+                        ticks: {
+                            stepSize: 25,
+                            color: theme.text,
+                            backdropColor: 'transparent',
+                            font: { size: 10 },
+                        },
+                        grid: { color: theme.grid },
+                        angleLines: { color: theme.grid },
+                        pointLabels: {
+                            color: theme.text,
+                            font: { size: 11, family: 'Inter' },
+                        },
+                    },
+                },
+                plugins: {
+                    legend: {
+                        // Point-style legend so the shape key matches the series
+                        labels: { color: theme.text, font: { family: 'Inter', size: 12 }, boxWidth: 12, usePointStyle: true },
+                    },
+                },
+            },
+        };
+    }
+
+    function buildBarChartConfig(frameworks, theme, { t, palette }) {
+        const series = getChartSeries(frameworks, theme, palette);
+        const barDatasets = frameworks.map((fw, i) => ({
+            label: fw.name,
+            data: METRIC_KEYS.map(key => fw.scores[key]),
+            backgroundColor: series[i].fill,
+            borderColor: series[i].border,
+            borderWidth: 2,
+            borderRadius: 6,
+        }));
+
+        return {
+            type: 'bar',
+            data: { labels: METRIC_KEYS.map(key => t(`metric.${key}.short`)), datasets: barDatasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        ticks: { color: theme.text, font: { family: 'Inter', size: 11 } },
+                        grid: { color: theme.grid },
+                    },
+                    y: {
+                        min: 0, max: 100,
+                        ticks: { color: theme.text, font: { family: 'Inter', size: 11 } },
+                        grid: { color: theme.grid },
+                    },
+                },
+                plugins: {
+                    legend: {
+                        labels: { color: theme.text, font: { family: 'Inter', size: 12 }, boxWidth: 12 },
+                    },
+                },
+            },
+        };
+    }
+
+    /**
+     * The numbers behind a chart as a real table (metrics × frameworks),
+     * for screen readers and anyone who prefers reading values.
+     */
+    function buildChartDataTableHTML(frameworks, { t, caption }) {
+        return html`
+      <table class="chart-data-table">
+        <caption class="sr-only">${caption}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${t('chart.metric')}</th>
+            ${frameworks.map(fw => html`<th scope="col">${fw.name}</th>`)}
+          </tr>
+        </thead>
+        <tbody>
+          ${METRIC_KEYS.map(key => html`
+            <tr>
+              <th scope="row">${t(`metric.${key}`)}</th>
+              ${frameworks.map(fw => html`<td>${fw.scores[key]}</td>`)}
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+    }
+
+    /* ==========================================
+       COMPARISON TABLE — mobile card-ready
+       data-label on each <td> allows CSS to show
+       it as a card row label on small screens.
+       ========================================== */
+    /**
+     * The comparison table's <thead> and <tbody> markup. `metricIcons` maps
+     * metric keys to Font Awesome names for the row labels; without it (and
+     * with `icons: false`) no icon markup is emitted at all.
+     */
+    function buildComparisonTableHTML(frameworks, { t, baselineId = null, metricIcons = {}, icons = true }) {
+        // Helper: row factory (adds data-label to each fw cell)
+        const makeRow = (label, cells) => html`<tr>
+  <td class="table-row-label">${label}</td>
+  ${frameworks.map((fw, i) => html`<td data-label="${fw.name}">${cells[i]}</td>`)}
+</tr>`;
+
+        const baseIndex = frameworks.findIndex(fw => fw.id === baselineId);
+        const rows = buildComparisonRows(frameworks, t).map(row => {
+            const icon = icons && row.metric && metricIcons[row.metric];
+            const label = html`${icon && html`<i class="fas ${icon} mr-1 opacity-60"></i>`}<strong>${row.label}</strong>`;
+            const cells = row.isScore
+                ? row.values.map((score, i) => renderScoreCell(score, {
+                    best: isBestValue(row.values, score),
+                    delta: baseIndex >= 0 && i !== baseIndex ? score - row.values[baseIndex] : null,
+                    baseName: frameworks[baseIndex]?.name,
+                }, t))
+                : row.values;
+            return makeRow(label, cells);
+        });
+
+        return html`<thead><tr>
+  <th></th>
+  ${frameworks.map((fw, i) => html`<th class="table-fw-header" style="color:${safeColor(fw.color)}">
+    ${icons && html`<i class="${safeIcon(fw.icon)} mr-1"></i>`}${fw.name}${i === baseIndex && html` <span class="baseline-badge">${t('h2h.baseline')}</span>`}
+  </th>`)}
+</tr></thead><tbody>${rows}</tbody>`;
+    }
+
+    function renderScoreCell(score, { best, delta, baseName }, t) {
+        const cls = score >= 80 ? 'score-high' : score >= 60 ? 'score-mid' : 'score-low';
+        const deltaLabel = delta !== null && t('h2h.vsBaseline', { delta: formatDelta(delta), name: baseName });
+        const deltaCls = delta > 0 ? 'delta-up' : delta < 0 ? 'delta-down' : 'delta-even';
+        return html`<span class="score-pill ${cls}${best ? ' score-best' : ''}">${best && html`<i class="fas fa-crown" aria-hidden="true"></i>`}${score}/100</span>${best && html`<span class="sr-only"> (${t('h2h.best')})</span>`}${delta !== null && html`
+      <span class="score-delta ${deltaCls}" title="${deltaLabel}"><span aria-hidden="true">${formatDelta(delta)}</span><span class="sr-only">${deltaLabel}</span></span>`}`;
+    }
+
+    return {
+        SafeHTML,
+        html,
+        renderTemplateValue,
+        escapeHTML,
+        safeColor,
+        safeIcon,
+        CHART_PALETTES,
+        COLORBLIND_SAFE,
+        getChartThemeColors,
+        getChartSeries,
+        contrastRatio,
+        colorDistance,
+        ensureContrast,
+        buildRadarChartConfig,
+        buildBarChartConfig,
+        buildChartDataTableHTML,
+        buildComparisonTableHTML,
+    };
+});